@@ -0,0 +1,41 @@
+/**
+ * AI provider configuration, read from the environment
+ */
+const aiConfig = {
+  // gemini | openai | mock
+  provider: (process.env.AI_PROVIDER || 'gemini').toLowerCase(),
+  // Model name; each provider falls back to its own default when unset
+  model: process.env.AI_MODEL || '',
+  timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000,
+
+  // Leads scored in parallel by a scoring job
+  concurrency: parseInt(process.env.AI_CONCURRENCY, 10) || 4,
+  // Provider request budget per minute; 0 means unlimited
+  requestsPerMinute: parseInt(process.env.AI_REQUESTS_PER_MINUTE ?? '60', 10) || 0,
+  // Retries of a single request on 429, 5xx and network errors
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES ?? '3', 10) || 0,
+  retryBaseMs: parseInt(process.env.AI_RETRY_BASE_MS, 10) || 1000,
+  retryMaxMs: parseInt(process.env.AI_RETRY_MAX_MS, 10) || 30000,
+
+  // How long cached AI verdicts are reused; 0 disables the cache
+  cacheTtlSeconds: parseInt(process.env.AI_CACHE_TTL_SECONDS ?? String(30 * 24 * 60 * 60), 10) || 0,
+
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: 'gemini-pro',
+  },
+
+  // Any server implementing the OpenAI chat completions API (OpenAI, vLLM, Ollama, LM Studio, ...)
+  openai: {
+    baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: 'gpt-4o-mini',
+  },
+
+  mock: {
+    response: process.env.AI_MOCK_RESPONSE,
+    defaultModel: 'mock-v1',
+  },
+};
+
+export default aiConfig;
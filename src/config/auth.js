@@ -0,0 +1,54 @@
+/**
+ * Authentication and role configuration, read from the environment
+ */
+export const ROLES = ['admin', 'analyst', 'viewer'];
+
+const ALL_ROLES = ROLES;
+const ANALYSTS = ['admin', 'analyst'];
+const ADMINS = ['admin'];
+
+// Roles granted each permission: admins manage offers and delete data, analysts run scoring,
+// imports and exports, viewers only read
+export const PERMISSIONS = {
+  'offers:read': ALL_ROLES,
+  'offers:write': ADMINS,
+  'leads:read': ALL_ROLES,
+  'leads:write': ANALYSTS,
+  'leads:delete': ADMINS,
+  'imports:read': ALL_ROLES,
+  'imports:write': ANALYSTS,
+  'scoring:read': ALL_ROLES,
+  'scoring:run': ANALYSTS,
+  'scoring:cache': ADMINS,
+  'results:read': ALL_ROLES,
+  'results:export': ANALYSTS,
+  'api-keys:manage': ADMINS,
+  'workspaces:read': ALL_ROLES,
+  'workspaces:manage': ADMINS,
+  'webhooks:read': ANALYSTS,
+  'webhooks:manage': ADMINS,
+  'crm:read': ANALYSTS,
+  'crm:sync': ANALYSTS,
+  'crm:manage': ADMINS,
+};
+
+const authConfig = {
+  // Stored API keys start with this, which tells them apart from JWTs
+  apiKeyPrefix: 'lsk_',
+
+  // Accepted as an admin key without being stored, to create the first keys; leave unset afterwards
+  bootstrapAdminKey: process.env.BOOTSTRAP_ADMIN_KEY || '',
+
+  // Bearer tokens signed with HS256 by your identity provider; unset disables JWT authentication
+  jwt: {
+    secret: process.env.JWT_SECRET || '',
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+    // Claim holding one of ROLES
+    roleClaim: process.env.JWT_ROLE_CLAIM || 'role',
+    // Claim holding the workspace id or slug the token is limited to; absent for agency-wide tokens
+    workspaceClaim: process.env.JWT_WORKSPACE_CLAIM || 'workspace',
+  },
+};
+
+export default authConfig;
@@ -0,0 +1,37 @@
+/**
+ * CRM sync configuration, read from the environment
+ */
+const crmConfig = {
+  timeoutMs: parseInt(process.env.CRM_TIMEOUT_MS, 10) || 15000,
+  // Leads pushed in parallel by a sync job
+  concurrency: parseInt(process.env.CRM_CONCURRENCY, 10) || 2,
+  // Background retries of a single push on 429, 5xx and network errors
+  maxRetries: parseInt(process.env.CRM_MAX_RETRIES ?? '3', 10) || 0,
+  retryBaseMs: parseInt(process.env.CRM_RETRY_BASE_MS, 10) || 1000,
+  retryMaxMs: parseInt(process.env.CRM_RETRY_MAX_MS, 10) || 30000,
+  // Hosts a connection may reach although they are not public, e.g. a local server for the mock
+  // adapter; empty outside development
+  allowedPrivateHosts: (process.env.CRM_ALLOWED_PRIVATE_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+
+  hubspot: {
+    defaultBaseUrl: 'https://api.hubapi.com',
+  },
+
+  salesforce: {
+    apiVersion: process.env.SALESFORCE_API_VERSION || '59.0',
+    defaultObject: 'Lead',
+    // Custom external id field holding our lead id, so repeated pushes update one record
+    defaultExternalIdField: 'Lead_Scoring_Id__c',
+  },
+
+  // The mock adapter writes NDJSON files here when it has no URL
+  mock: {
+    dir: process.env.CRM_MOCK_DIR || './crm-mock',
+    defaultFile: 'crm-sync.ndjson',
+  },
+};
+
+export default crmConfig;
@@ -0,0 +1,16 @@
+/**
+ * Lead enrichment configuration, read from the environment
+ */
+const enrichmentConfig = {
+  // Where firmographics come from: file | none
+  source: (process.env.ENRICHMENT_SOURCE || 'file').toLowerCase(),
+  // JSON or CSV dataset with domain, company, size, country and sector; unset means domain-only enrichment
+  datasetPath: process.env.ENRICHMENT_DATASET || '',
+  // Free-mail domains on top of the built-in list, comma separated
+  extraFreeMailDomains: (process.env.ENRICHMENT_FREE_MAIL_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+export default enrichmentConfig;
@@ -0,0 +1,15 @@
+/**
+ * Outbound webhook delivery configuration, read from the environment
+ */
+const webhookConfig = {
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  // Attempts per delivery, including the first
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  // Exponential backoff between attempts: base, 2x base, 4x base, ... up to the max
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000,
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000,
+  // Deliveries in flight at once
+  concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5,
+};
+
+export default webhookConfig;
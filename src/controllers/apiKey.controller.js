@@ -0,0 +1,155 @@
+import { ForbiddenError, NotFoundError } from '../middleware/errorHandler.js';
+import { callerWorkspaceScope, isWorkspace } from '../middleware/workspace.js';
+import ApiKey, { generateApiKey, hashApiKey } from '../models/ApiKey.js';
+import Workspace from '../models/Workspace.js';
+import { getActor } from '../utils/actor.js';
+import logger from '../utils/logger.js';
+
+// Characters of the key kept for display
+const KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Work out the workspace a new key is limited to. Keys created with a workspace-bound
+ * credential are always bound to the same workspace.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Workspace id, or null for an agency-wide key
+ * @throws {NotFoundError|ForbiddenError}
+ */
+const getKeyWorkspace = async (req) => {
+  const ref = req.body.workspace;
+  const bound = req.auth.workspace;
+
+  if (!ref) {
+    return bound || null;
+  }
+
+  const workspace = await Workspace.findByIdOrSlug(ref);
+  if (!workspace) {
+    throw new NotFoundError(`Workspace not found: ${ref}`);
+  }
+  if (bound && !isWorkspace(workspace, bound)) {
+    throw new ForbiddenError('Keys can only be created for your own workspace');
+  }
+
+  return workspace._id;
+};
+
+/**
+ * @desc    Get API keys, newest first; revoked keys only with includeRevoked=true.
+ *          Workspace-bound admins only see their workspace's keys.
+ * @route   GET /api/api-keys
+ * @access  Private (api-keys:manage)
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const { role, workspace, includeRevoked = false } = req.query;
+    const filter = {
+      ...(workspace && { workspace }),
+      ...callerWorkspaceScope(req),
+      ...(role && { role }),
+      ...(!includeRevoked && { revoked_at: null }),
+    };
+
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: keys.length,
+      data: {
+        keys,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an API key. The key itself is only returned in this response.
+ * @route   POST /api/api-keys
+ * @access  Private (api-keys:manage)
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, role, expiresAt } = req.body;
+    const workspace = await getKeyWorkspace(req);
+    const key = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      workspace,
+      prefix: key.slice(0, KEY_PREFIX_LENGTH),
+      key_hash: hashApiKey(key),
+      created_by: getActor(req),
+      expires_at: expiresAt,
+    });
+
+    logger.info(`Created ${role} API key ${apiKey._id} (${name}) for ${workspace ? `workspace ${workspace}` : 'all workspaces'}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Store this key now; it cannot be shown again',
+      data: {
+        key,
+        apiKey,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get API key by ID
+ * @route   GET /api/api-keys/:id
+ * @access  Private (api-keys:manage)
+ */
+export const getApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, ...callerWorkspaceScope(req) });
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        apiKey,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key; it is kept for the audit trail
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (api-keys:manage)
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, ...callerWorkspaceScope(req), revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_by: getActor(req) } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found or already revoked');
+    }
+
+    logger.info(`Revoked API key ${apiKey._id} (${apiKey.name})`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        apiKey,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
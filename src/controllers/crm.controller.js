@@ -0,0 +1,328 @@
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import CrmConnection from '../models/CrmConnection.js';
+import CrmSync from '../models/CrmSync.js';
+import CrmSyncJob from '../models/CrmSyncJob.js';
+import Offer from '../models/Offer.js';
+import { DEFAULT_CRM_MAPPINGS } from '../services/crm/index.js';
+import { queueCrmSync } from '../workers/crm.worker.js';
+import { getActor } from '../utils/actor.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find one of the workspace's CRM connections or throw a 404
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - CrmConnection document
+ */
+const findConnection = async (req) => {
+  const connection = await CrmConnection.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+  if (!connection) {
+    throw new NotFoundError('CRM connection not found');
+  }
+
+  return connection;
+};
+
+/**
+ * Reject a name another connection of the workspace already uses
+ * @param {string} [name] - Requested name
+ * @param {Object} workspace - Workspace id
+ * @param {string} [excludeId] - Connection being updated
+ */
+const assertNameAvailable = async (name, workspace, excludeId) => {
+  if (name === undefined) {
+    return;
+  }
+  const existing = await CrmConnection.exists({ workspace, name, ...(excludeId && { _id: { $ne: excludeId } }) });
+  if (existing) {
+    throw new BadRequestError(`A CRM connection named "${name}" already exists`);
+  }
+};
+
+/**
+ * @desc    Get the workspace's CRM connections
+ * @route   GET /api/crm/connections
+ * @access  Private (crm:read)
+ */
+export const getConnections = async (req, res, next) => {
+  try {
+    const connections = await CrmConnection.find({ workspace: req.workspace._id }).sort('name');
+
+    res.status(200).json({
+      status: 'success',
+      results: connections.length,
+      data: {
+        connections,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a CRM connection; without a field mapping the adapter's default is used
+ * @route   POST /api/crm/connections
+ * @access  Private (crm:manage)
+ */
+export const createConnection = async (req, res, next) => {
+  try {
+    const { name, adapter, settings, accessToken, fieldMapping, minScore, autoSync, active } = req.body;
+
+    await assertNameAvailable(name, req.workspace._id);
+
+    const connection = await CrmConnection.create({
+      workspace: req.workspace._id,
+      name,
+      adapter,
+      settings,
+      access_token: accessToken,
+      field_mapping: fieldMapping || DEFAULT_CRM_MAPPINGS[adapter],
+      min_score: minScore,
+      auto_sync: autoSync,
+      active,
+      created_by: getActor(req),
+    });
+
+    logger.info(`Created ${adapter} CRM connection ${connection._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        connection,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get CRM connection by ID, with its lead counts per sync status
+ * @route   GET /api/crm/connections/:id
+ * @access  Private (crm:read)
+ */
+export const getConnection = async (req, res, next) => {
+  try {
+    const connection = await findConnection(req);
+
+    const counts = await CrmSync.aggregate([
+      { $match: { connection: connection._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        connection,
+        syncCounts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a CRM connection
+ * @route   PUT /api/crm/connections/:id
+ * @access  Private (crm:manage)
+ */
+export const updateConnection = async (req, res, next) => {
+  try {
+    const { name, settings, accessToken, fieldMapping, minScore, autoSync, active } = req.body;
+    const connection = await findConnection(req);
+
+    await assertNameAvailable(name, req.workspace._id, connection._id);
+
+    if (name !== undefined) connection.name = name;
+    if (settings !== undefined) connection.settings = { ...connection.settings?.toObject(), ...settings };
+    if (accessToken !== undefined) connection.access_token = accessToken;
+    if (fieldMapping !== undefined) connection.field_mapping = fieldMapping;
+    if (minScore !== undefined) connection.min_score = minScore;
+    if (autoSync !== undefined) connection.auto_sync = autoSync;
+    if (active !== undefined) connection.active = active;
+
+    await connection.save();
+
+    logger.info(`Updated CRM connection: ${connection._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        connection,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a CRM connection and its lead sync statuses
+ * @route   DELETE /api/crm/connections/:id
+ * @access  Private (crm:manage)
+ */
+export const deleteConnection = async (req, res, next) => {
+  try {
+    const connection = await CrmConnection.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!connection) {
+      throw new NotFoundError('CRM connection not found');
+    }
+
+    await CrmSync.deleteMany({ connection: connection._id });
+
+    logger.info(`Deleted CRM connection: ${connection._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Queue a push of an offer's scored leads to the CRM
+ * @route   POST /api/crm/connections/:id/sync
+ * @access  Private (crm:sync)
+ */
+export const syncConnection = async (req, res, next) => {
+  try {
+    const { offerId, mode = 'pending', leadIds, limit } = req.body;
+    const connection = await findConnection(req);
+
+    if (!connection.active) {
+      throw new BadRequestError('CRM connection is disabled');
+    }
+
+    if (offerId && !(await Offer.offerExists(offerId, req.workspace._id))) {
+      throw new NotFoundError('Offer not found');
+    }
+    if (!offerId && mode !== 'failed') {
+      throw new BadRequestError('offerId is required unless mode is failed');
+    }
+
+    const job = await queueCrmSync(connection, {
+      offer: offerId,
+      mode,
+      lead_ids: leadIds,
+      limit,
+      actor: getActor(req),
+    });
+
+    logger.info(`Queued CRM sync ${job._id} (${mode}) on connection ${connection._id}`);
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        jobId: job._id,
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Queue a retry of every lead whose last push to the CRM failed
+ * @route   POST /api/crm/connections/:id/retry
+ * @access  Private (crm:sync)
+ */
+export const retryFailedSyncs = async (req, res, next) => {
+  try {
+    const connection = await findConnection(req);
+
+    if (!connection.active) {
+      throw new BadRequestError('CRM connection is disabled');
+    }
+
+    const failed = await CrmSync.countDocuments({ connection: connection._id, status: 'failed' });
+    if (failed === 0) {
+      throw new BadRequestError('No failed syncs to retry');
+    }
+
+    const job = await queueCrmSync(connection, { mode: 'failed', limit: failed, actor: getActor(req) });
+
+    logger.info(`Queued retry of ${failed} failed CRM syncs as ${job._id}`);
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        jobId: job._id,
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the sync status of leads in a CRM connection
+ * @route   GET /api/crm/connections/:id/syncs
+ * @access  Private (crm:read)
+ */
+export const getConnectionSyncs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, leadId } = req.query;
+    const skip = (page - 1) * limit;
+    const connection = await findConnection(req);
+
+    const filter = {
+      connection: connection._id,
+      workspace: req.workspace._id,
+      ...(status && { status }),
+      ...(leadId && { lead: leadId }),
+    };
+
+    const [syncs, total] = await Promise.all([
+      CrmSync.find(filter)
+        .sort({ last_attempt_at: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('lead', 'name email company')
+        .lean(),
+      CrmSync.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        syncs,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a CRM sync job's status and progress
+ * @route   GET /api/crm/jobs/:id
+ * @access  Private (crm:read)
+ */
+export const getSyncJob = async (req, res, next) => {
+  try {
+    const job = await CrmSyncJob.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!job) {
+      throw new NotFoundError('CRM sync job not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,161 @@
+import { NotFoundError } from '../middleware/errorHandler.js';
+import DuplicateScan from '../models/DuplicateScan.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import { mergeLeads as mergeLeadRecords } from '../services/leadMerge.service.js';
+import { queueDuplicateScan } from '../workers/duplicate.worker.js';
+import { getActor } from '../utils/actor.js';
+import logger from '../utils/logger.js';
+
+// Lead fields shown side by side when reviewing a pair
+const REVIEW_FIELDS = 'name email role industry company linkedin phone score tags assigned_to createdAt';
+
+/**
+ * @desc    Queue a scan of the workspace's leads for likely duplicates
+ * @route   POST /api/leads/duplicates/scan
+ * @access  Private (leads:write)
+ */
+export const scanDuplicates = async (req, res, next) => {
+  try {
+    const { scan, created } = await queueDuplicateScan(req.workspace._id, {
+      min_confidence: req.body.minConfidence,
+      actor: getActor(req),
+    });
+
+    if (created) {
+      logger.info(`Queued duplicate scan ${scan._id}`);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: created ? 'Duplicate scan queued' : 'A duplicate scan is already in progress',
+      data: {
+        scanId: scan._id,
+        scan,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the progress of a duplicate scan
+ * @route   GET /api/leads/duplicates/scans/:id
+ * @access  Private (leads:read)
+ */
+export const getDuplicateScan = async (req, res, next) => {
+  try {
+    const scan = await DuplicateScan.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!scan) {
+      throw new NotFoundError('Duplicate scan not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scan,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get likely duplicate pairs, most confident first
+ * @route   GET /api/leads/duplicates
+ * @access  Private (leads:read)
+ */
+export const getDuplicates = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', minConfidence, leadId } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      workspace: req.workspace._id,
+      status,
+      ...(minConfidence !== undefined && { confidence: { $gte: minConfidence } }),
+      ...(leadId && { $or: [{ lead_a: leadId }, { lead_b: leadId }] }),
+    };
+
+    const [duplicates, total] = await Promise.all([
+      LeadDuplicate.find(filter)
+        .sort({ confidence: -1, _id: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('lead_a', REVIEW_FIELDS)
+        .populate('lead_b', REVIEW_FIELDS)
+        .lean(),
+      LeadDuplicate.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        duplicates,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dismiss a duplicate pair as two different people, or reopen it
+ * @route   PATCH /api/leads/duplicates/:id
+ * @access  Private (leads:write)
+ */
+export const updateDuplicate = async (req, res, next) => {
+  try {
+    const duplicate = await LeadDuplicate.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspace._id },
+      { $set: { status: req.body.status, reviewed_by: getActor(req), reviewed_at: new Date() } },
+      { new: true }
+    );
+
+    if (!duplicate) {
+      throw new NotFoundError('Duplicate pair not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        duplicate,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge leads into one, choosing per field which lead's value is kept
+ * @route   POST /api/leads/merge
+ * @access  Private (leads:delete)
+ */
+export const mergeLeads = async (req, res, next) => {
+  try {
+    const { keep, merge, fields } = req.body;
+
+    const result = await mergeLeadRecords({
+      workspace: req.workspace._id,
+      keep,
+      merge,
+      fields,
+      actor: getActor(req),
+    });
+
+    logger.info(`Merged ${merge.length} lead(s) into ${keep}: ${result.changes.map((c) => c.field).join(', ') || 'no field changes'}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
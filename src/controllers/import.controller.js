@@ -0,0 +1,177 @@
+import { pipeline } from 'stream/promises';
+import { stringify } from 'csv-stringify';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import ImportBatch, { REJECTION_PREVIEW_LIMIT } from '../models/ImportBatch.js';
+import ImportRejection from '../models/ImportRejection.js';
+import { rollbackImportedLeads } from '../services/leadImport.service.js';
+import { getActor } from '../utils/actor.js';
+import logger from '../utils/logger.js';
+
+// Extra columns of the rejected-rows download; the rest are the file's own headers
+const REJECTION_COLUMNS = ['_row', '_error'];
+
+/**
+ * @desc    Get import batches, newest first
+ * @route   GET /api/imports
+ * @access  Private (imports:read)
+ */
+export const getImports = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { workspace: req.workspace._id, ...(status && { status }) };
+
+    const [imports, total] = await Promise.all([
+      ImportBatch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ImportBatch.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        imports,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an import batch with its first rejected rows
+ * @route   GET /api/imports/:id
+ * @access  Private (imports:read)
+ */
+export const getImport = async (req, res, next) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean();
+
+    if (!batch) {
+      throw new NotFoundError('Import not found');
+    }
+
+    const rejections = await ImportRejection.find({ batch: batch._id })
+      .sort({ row: 1 })
+      .limit(REJECTION_PREVIEW_LIMIT)
+      .select('row message data')
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        import: batch,
+        rejections,
+        rejectionsTruncated: batch.counts.failed > rejections.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the rows an import rejected as CSV, with the reason for each
+ * @route   GET /api/imports/:id/rejected.csv
+ * @access  Private (imports:read)
+ */
+export const downloadRejectedRows = async (req, res, next) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean();
+
+    if (!batch) {
+      throw new NotFoundError('Import not found');
+    }
+
+    // Rows that could not be read at all have no headers; their raw value goes in _raw
+    const columns = [...batch.headers, ...REJECTION_COLUMNS];
+    const hasRawRows = await ImportRejection.exists({ batch: batch._id, data: { $not: { $type: 'object' } } });
+    if (hasRawRows) {
+      columns.push('_raw');
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=import_${batch._id}_rejected.csv`
+    );
+
+    const cursor = ImportRejection.find({ batch: batch._id }).sort({ row: 1 }).lean().cursor();
+
+    await pipeline(
+      cursor,
+      async function* (rejections) {
+        for await (const { row, message, data } of rejections) {
+          const isRecord = data !== null && typeof data === 'object' && !Array.isArray(data);
+          yield {
+            ...(isRecord && data),
+            _row: row,
+            _error: message,
+            ...(!isRecord && { _raw: typeof data === 'string' ? data : JSON.stringify(data) }),
+          };
+        }
+      },
+      stringify({ header: true, columns }),
+      res
+    );
+  } catch (error) {
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      logger.error(`Rejected rows download failed for import ${req.params.id}: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Roll back an import by removing the leads it created
+ * @route   DELETE /api/imports/:id
+ * @access  Private (leads:delete)
+ */
+export const rollbackImport = async (req, res, next) => {
+  try {
+    // Claim the batch first so two rollbacks cannot run at once
+    const batch = await ImportBatch.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspace._id, status: { $in: ['completed', 'failed'] } },
+      { status: 'rolled_back', rolled_back_at: new Date(), rolled_back_by: getActor(req) },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await ImportBatch.findOne({ _id: req.params.id, workspace: req.workspace._id })
+        .select('status')
+        .lean();
+      if (!existing) {
+        throw new NotFoundError('Import not found');
+      }
+      throw new BadRequestError(`Import is ${existing.status.replace('_', ' ')} and cannot be rolled back`);
+    }
+
+    const deleted = await rollbackImportedLeads(batch._id);
+
+    batch.rolled_back_leads = deleted;
+    await batch.save();
+
+    logger.info(`Rolled back import ${batch._id}: removed ${deleted} leads`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        import: batch,
+        deletedLeads: deleted,
+        // Leads an upsert merged into are left as they are
+        updatedLeadsKept: batch.counts.updated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,149 @@
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import ImportTemplate from '../models/ImportTemplate.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reject a template name another template of the workspace already uses
+ * @param {string} name - Requested name
+ * @param {Object} workspace - Workspace id
+ * @param {string} [excludeId] - Template being updated
+ * @throws {BadRequestError} - If the name is taken
+ */
+const assertNameAvailable = async (name, workspace, excludeId) => {
+  if (!name) {
+    return;
+  }
+  const taken = await ImportTemplate.exists({ workspace, name, ...(excludeId && { _id: { $ne: excludeId } }) });
+  if (taken) {
+    throw new BadRequestError(`An import template named "${name}" already exists`);
+  }
+};
+
+/**
+ * @desc    Get all import templates
+ * @route   GET /api/import-templates
+ * @access  Private (imports:read)
+ */
+export const getImportTemplates = async (req, res, next) => {
+  try {
+    const templates = await ImportTemplate.find({ workspace: req.workspace._id }).sort('name');
+
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      data: {
+        templates,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an import template
+ * @route   POST /api/import-templates
+ * @access  Private (imports:write)
+ */
+export const createImportTemplate = async (req, res, next) => {
+  try {
+    const { name, description, mapping } = req.body;
+
+    await assertNameAvailable(name, req.workspace._id);
+
+    const template = await ImportTemplate.create({ workspace: req.workspace._id, name, description, mapping });
+
+    logger.info(`Created import template: ${template._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get import template by ID
+ * @route   GET /api/import-templates/:id
+ * @access  Private (imports:read)
+ */
+export const getImportTemplate = async (req, res, next) => {
+  try {
+    const template = await ImportTemplate.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!template) {
+      throw new NotFoundError('Import template not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update import template
+ * @route   PUT /api/import-templates/:id
+ * @access  Private (imports:write)
+ */
+export const updateImportTemplate = async (req, res, next) => {
+  try {
+    const { name, description, mapping } = req.body;
+
+    await assertNameAvailable(name, req.workspace._id, req.params.id);
+
+    const template = await ImportTemplate.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspace._id },
+      { name, description, mapping },
+      { new: true, runValidators: true }
+    );
+
+    if (!template) {
+      throw new NotFoundError('Import template not found');
+    }
+
+    logger.info(`Updated import template: ${template._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        template,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete import template
+ * @route   DELETE /api/import-templates/:id
+ * @access  Private (imports:write)
+ */
+export const deleteImportTemplate = async (req, res, next) => {
+  try {
+    const template = await ImportTemplate.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!template) {
+      throw new NotFoundError('Import template not found');
+    }
+
+    logger.info(`Deleted import template: ${template._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,13 +1,98 @@
-import { Readable } from 'stream';
-import { parse } from 'csv-parse';
+import fs from 'fs';
 import { ApiError, BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
-import Lead from '../models/Lead.js';
+import { assertPermission } from '../middleware/auth.js';
+import Lead, { EDITABLE_LEAD_FIELDS } from '../models/Lead.js';
+import LeadHistory from '../models/LeadHistory.js';
+import LeadScore from '../models/LeadScore.js';
+import ImportTemplate from '../models/ImportTemplate.js';
+import ImportBatch from '../models/ImportBatch.js';
+import BulkOperation from '../models/BulkOperation.js';
+import CrmSync from '../models/CrmSync.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import {
+  importLeadsFromFile,
+  previewLeadsFromFile,
+  DEFAULT_PREVIEW_ROWS,
+} from '../services/leadImport.service.js';
+import { PARSE_ERROR_CODE } from '../services/recordReader.service.js';
+import { diffLead, affectsScoring, recordLeadChanges } from '../services/leadHistory.service.js';
+import { markScoresStale } from '../services/scoring.service.js';
+import { buildBulkSelection, BULK_SYNC_LIMIT } from '../services/bulkLead.service.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { emitEvent } from '../services/webhook.service.js';
+import { normalizeContactFields, DEFAULT_PHONE_REGION } from '../services/normalization.service.js';
+import { BULK_JOB, runBulkOperation } from '../workers/bulk.worker.js';
+import { getActor } from '../utils/actor.js';
+import { buildLeadFilter, buildLeadSort } from '../utils/leadFilter.js';
+import { wantsCursor, applyCursor, getCursorPage } from '../utils/cursor.js';
 import logger from '../utils/logger.js';
 
 /**
- * @desc    Upload leads from CSV file
+ * Build the column mapping for an upload from a saved template and/or an explicit mapping
+ * @param {Object} req - Express request; `template` and `mapping` come from the form fields or query
+ * @returns {Promise<Object>} - `{ leadField: header }`; the explicit mapping wins over the template
+ * @throws {NotFoundError} - If the template does not exist
+ */
+const getUploadMapping = async (req) => {
+  const templateRef = req.body?.template ?? req.query.template;
+  let mapping = {};
+
+  if (templateRef) {
+    const template = await ImportTemplate.findByIdOrName(templateRef, req.workspace._id);
+    if (!template) {
+      throw new NotFoundError(`Import template not found: ${templateRef}`);
+    }
+    mapping = Object.fromEntries(template.mapping);
+  }
+
+  return { ...mapping, ...(req.body?.mapping || {}) };
+};
+
+/**
+ * Region for phone numbers written without a country code
+ * @param {Object} req - Express request
+ * @returns {string} - The `phoneRegion` query, else the workspace's region, else the default
+ */
+const getPhoneRegion = (req) =>
+  req.query.phoneRegion || req.workspace.phone_region || DEFAULT_PHONE_REGION;
+
+/**
+ * Run a file read, turning parser errors into bad requests
+ * @param {Function} read - Reads the file
+ * @returns {Promise<*>} - Result of `read`
+ */
+const withParseErrors = async (read) => {
+  try {
+    return await read();
+  } catch (error) {
+    if (error.code && error.code.startsWith('CSV_')) {
+      logger.error('CSV parsing error:', error);
+      throw new BadRequestError(`Error parsing CSV file: ${error.message}`);
+    }
+    if (error.code === PARSE_ERROR_CODE) {
+      logger.error('Import file parsing error:', error);
+      throw new BadRequestError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove an uploaded file once it has been processed
+ * @param {Object} req - Express request
+ */
+const removeUpload = async (req) => {
+  if (req.file?.path) {
+    await fs.promises.unlink(req.file.path).catch((err) => {
+      logger.warn(`Could not remove uploaded file ${req.file.path}: ${err.message}`);
+    });
+  }
+};
+
+/**
+ * @desc    Upload leads from a CSV, XLSX, JSON or NDJSON file
  * @route   POST /api/leads/upload
- * @access  Public
+ * @access  Private (imports:write)
  */
 export const uploadLeads = async (req, res, next) => {
   try {
@@ -15,112 +100,195 @@ export const uploadLeads = async (req, res, next) => {
       throw new BadRequestError('No file uploaded');
     }
 
-    const results = [];
-    const errors = [];
-    let rowCount = 0;
-
-    // Create a readable stream from the buffer
-    const stream = Readable.from(req.file.buffer.toString());
+    const { mode = 'insert', merge = 'overwrite', sheet } = req.query;
+    const { format } = req.file;
+    const mapping = await getUploadMapping(req);
 
-    // Parse the CSV file
-    const parser = parse({
-      delimiter: ',',
-      columns: true,
-      trim: true,
-      skip_empty_lines: true,
-      skip_records_with_error: true,
+    const batch = await ImportBatch.create({
+      workspace: req.workspace._id,
+      file_name: req.file.originalname,
+      format,
+      size: req.file.size,
+      uploaded_by: getActor(req),
+      mode,
+      merge: mode === 'upsert' ? merge : undefined,
     });
 
-    // Process each record
-    parser.on('readable', () => {
-      let record;
-      while ((record = parser.read()) !== null) {
-        rowCount++;
-        
-        // Validate required fields
-        if (!record.name || !record.email || !record.role || !record.industry) {
-          errors.push({
-            row: rowCount,
-            message: 'Missing required fields',
-            data: record,
-          });
-          continue;
+    let result;
+    try {
+      result = await withParseErrors(() =>
+        importLeadsFromFile(req.file.path, {
+          workspace: req.workspace._id,
+          format,
+          sheet,
+          mode,
+          merge,
+          mapping,
+          batchId: batch._id,
+          actor: batch.uploaded_by,
+          phoneRegion: getPhoneRegion(req),
+        })
+      );
+    } catch (error) {
+      // Leads written before the failure keep the batch id, so the batch can still be rolled back;
+      // the headers read so far give its rejected rows their columns
+      await ImportBatch.updateOne(
+        { _id: batch._id },
+        {
+          status: 'failed',
+          error: error.message,
+          headers: error.importHeaders ?? [],
+          mapping: error.importMapping ?? undefined,
+          completed_at: new Date(),
         }
+      );
+      throw error;
+    }
 
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(record.email)) {
-          errors.push({
-            row: rowCount,
-            message: 'Invalid email format',
-            data: record,
-          });
-          continue;
-        }
+    const {
+      totalRows,
+      headers,
+      mapping: columnMapping,
+      inserted,
+      updated,
+      skipped,
+      failed,
+      duplicates,
+      invalid,
+      normalized,
+      errorDetails,
+      report,
+      reportTruncated,
+    } = result;
 
-        results.push({
-          name: record.name,
-          email: record.email.toLowerCase(),
-          role: record.role,
-          industry: record.industry,
-          company: record.company || '',
-          linkedin: record.linkedin || '',
-          phone: record.phone || '',
-          score: 0,
-          score_reason: '',
-        });
+    await ImportBatch.updateOne(
+      { _id: batch._id },
+      {
+        status: 'completed',
+        headers,
+        mapping: columnMapping,
+        counts: { total_rows: totalRows, created: inserted, updated, skipped, failed, duplicates, invalid, normalized },
+        completed_at: new Date(),
       }
-    });
+    );
 
-    // Handle parser errors
-    parser.on('error', (error) => {
-      logger.error('CSV parsing error:', error);
-      throw new BadRequestError('Error parsing CSV file');
+    logger.info(`Import ${batch._id} processed ${totalRows} ${format} rows (${mode}): ${inserted} created, ${updated} updated, ${skipped} skipped, ${failed} failed`);
+
+    // Not awaited: webhook subscribers must not delay the upload response
+    emitEvent(req.workspace._id, 'import.completed', {
+      import: {
+        id: String(batch._id),
+        file_name: batch.file_name,
+        format,
+        mode,
+        uploaded_by: batch.uploaded_by,
+        counts: { total_rows: totalRows, created: inserted, updated, skipped, failed, duplicates, invalid, normalized },
+      },
     });
 
-    // Wait for parsing to complete
-    await new Promise((resolve, reject) => {
-      parser.on('end', resolve);
-      parser.on('error', reject);
-      stream.pipe(parser);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        importId: batch._id,
+        format,
+        mode,
+        merge: mode === 'upsert' ? merge : undefined,
+        mapping: columnMapping,
+        totalRows,
+        inserted,
+        updated,
+        skipped,
+        duplicates,
+        invalid,
+        normalized,
+        errors: failed,
+        errorDetails,
+        report,
+        reportTruncated,
+      },
     });
+  } catch (error) {
+    next(error);
+  } finally {
+    // The upload is only needed for the import
+    await removeUpload(req);
+  }
+};
 
-    // Insert valid records in bulk
-    let insertedCount = 0;
-    if (results.length > 0) {
-      const { insertedCount: count } = await Lead.insertMany(results, {
-        ordered: false,
-      });
-      insertedCount = count;
+/**
+ * @desc    Preview the column mapping and first rows of an upload
+ * @route   POST /api/leads/upload/preview
+ * @access  Private (imports:write)
+ */
+export const previewUpload = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new BadRequestError('No file uploaded');
     }
 
-    logger.info(`Processed ${rowCount} rows, inserted ${insertedCount} leads`);
+    const rows = parseInt(req.query.rows) || DEFAULT_PREVIEW_ROWS;
+    const mapping = await getUploadMapping(req);
+
+    const preview = await withParseErrors(() =>
+      previewLeadsFromFile(req.file.path, {
+        workspace: req.workspace._id,
+        format: req.file.format,
+        sheet: req.query.sheet,
+        mapping,
+        rows,
+        phoneRegion: getPhoneRegion(req),
+      })
+    );
 
     res.status(200).json({
       status: 'success',
-      data: {
-        totalRows: rowCount,
-        inserted: insertedCount,
-        errors: errors.length,
-        errorDetails: errors,
-      },
+      data: preview,
     });
   } catch (error) {
     next(error);
+  } finally {
+    // Nothing is kept from a preview
+    await removeUpload(req);
   }
 };
 
 /**
- * @desc    Get all leads
+ * @desc    Get leads, filtered by search text, industry, score range, processed state and creation date.
+ *          Paged by `page`, or by cursor with `after` / `paginate=cursor`.
  * @route   GET /api/leads
- * @access  Public
+ * @access  Private (leads:read)
  */
 export const getLeads = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sort = '-createdAt' } = req.query;
+    const { page = 1, limit = 10, after, includeTotal } = req.query;
+    const filter = { ...buildLeadFilter(req.query), workspace: req.workspace._id };
+    const sort = buildLeadSort(req.query);
+
+    if (wantsCursor(req.query)) {
+      const [docs, total] = await Promise.all([
+        Lead.find(applyCursor(filter, after, sort))
+          .sort(sort)
+          .limit(parseInt(limit) + 1)
+          .lean(),
+        includeTotal ? Lead.countDocuments(filter) : undefined,
+      ]);
+
+      const { items, nextCursor, hasMore } = getCursorPage(docs, parseInt(limit), sort);
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          total,
+          nextCursor,
+          hasMore,
+          leads: items,
+        },
+      });
+    }
+
     const skip = (page - 1) * limit;
 
-    const query = Lead.find()
+    const query = Lead.find(filter)
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit))
@@ -128,7 +296,7 @@ export const getLeads = async (req, res, next) => {
 
     const [leads, total] = await Promise.all([
       query.exec(),
-      Lead.countDocuments(),
+      Lead.countDocuments(filter),
     ]);
 
     const totalPages = Math.ceil(total / limit);
@@ -150,11 +318,11 @@ export const getLeads = async (req, res, next) => {
 /**
  * @desc    Get lead by ID
  * @route   GET /api/leads/:id
- * @access  Public
+ * @access  Private (leads:read)
  */
 export const getLead = async (req, res, next) => {
   try {
-    const lead = await Lead.findById(req.params.id).lean();
+    const lead = await Lead.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean();
 
     if (!lead) {
       throw new NotFoundError('Lead not found');
@@ -171,19 +339,242 @@ export const getLead = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Update a lead's contact fields, recording each change in its history
+ * @route   PATCH /api/leads/:id
+ * @access  Private (leads:write)
+ */
+export const updateLead = async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!lead) {
+      throw new NotFoundError('Lead not found');
+    }
+
+    const { values, normalized, rejected } = normalizeContactFields(req.body, {
+      phoneRegion: req.workspace.phone_region || DEFAULT_PHONE_REGION,
+    });
+    if (rejected.length > 0) {
+      throw new BadRequestError(
+        'Validation failed',
+        rejected.map((r) => ({ path: r.field, msg: r.message }))
+      );
+    }
+
+    const before = lead.toObject();
+    EDITABLE_LEAD_FIELDS.forEach((field) => {
+      if (values[field] !== undefined) {
+        lead.set(field, values[field]);
+      }
+    });
+
+    // Compare after the schema's trim/lowercase setters have run
+    const changes = diffLead(before, lead.toObject(), EDITABLE_LEAD_FIELDS);
+
+    if (changes.length > 0) {
+      try {
+        await lead.save();
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          throw new BadRequestError(
+            'Validation failed',
+            Object.values(error.errors).map((e) => ({ path: e.path, msg: e.message }))
+          );
+        }
+        if (error.code === 11000) {
+          throw new BadRequestError('Email already exists');
+        }
+        throw error;
+      }
+
+      await recordLeadChanges(
+        [{ lead: lead._id, changes }],
+        { workspace: req.workspace._id, actor: getActor(req), source: 'edit' }
+      );
+    }
+
+    // Existing scores no longer describe the lead
+    const staleScores = affectsScoring(changes) ? await markScoresStale({ lead: lead._id }) : 0;
+
+    logger.info(`Updated lead ${lead._id}: ${changes.map((c) => c.field).join(', ') || 'no changes'}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        lead,
+        changes,
+        normalized,
+        staleScores,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the change history of a lead, newest first
+ * @route   GET /api/leads/:id/history
+ * @access  Private (leads:read)
+ */
+export const getLeadHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { lead: req.params.id, workspace: req.workspace._id };
+
+    const [history, total] = await Promise.all([
+      LeadHistory.find(filter)
+        .sort({ changed_at: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      LeadHistory.countDocuments(filter),
+    ]);
+
+    // History outlives the lead, so a deleted lead with history is still answered
+    if (total === 0 && !(await Lead.exists({ _id: req.params.id, workspace: req.workspace._id }))) {
+      throw new NotFoundError('Lead not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        history,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply an action to leads picked by id or by search filter. `dryRun` only counts them;
+ *          large selections, or `async: true`, run in the background.
+ * @route   POST /api/leads/bulk
+ * @access  Private (leads:write; delete needs leads:delete)
+ */
+export const bulkLeads = async (req, res, next) => {
+  try {
+    const { action, ids, filter, params = {}, dryRun = false } = req.body;
+
+    if (action === 'delete') {
+      assertPermission(req, 'leads:delete');
+    }
+    const selection = buildBulkSelection({ ids, filter }, req.workspace._id);
+    const matched = await Lead.countDocuments(selection);
+
+    if (dryRun) {
+      const sample = await Lead.find(selection)
+        .select('name email company')
+        .sort({ _id: 1 })
+        .limit(10)
+        .lean();
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          action,
+          dryRun: true,
+          matched,
+          sample,
+        },
+      });
+    }
+
+    const operation = await BulkOperation.create({
+      workspace: req.workspace._id,
+      action,
+      params: {
+        tags: params.tags,
+        tag_mode: action === 'tag' ? params.mode || 'add' : undefined,
+        assignee: params.assignee ?? undefined,
+        offer: params.offerId,
+      },
+      target: { ids, filter },
+      matched,
+      actor: getActor(req),
+    });
+
+    if (req.body.async || matched > BULK_SYNC_LIMIT) {
+      enqueueJob(BULK_JOB, operation._id);
+
+      logger.info(`Queued bulk ${action} ${operation._id} for ${matched} leads`);
+
+      return res.status(202).json({
+        status: 'success',
+        message: 'Bulk operation queued',
+        data: {
+          operationId: operation._id,
+          operation,
+        },
+      });
+    }
+
+    await runBulkOperation(operation._id);
+    const finished = await BulkOperation.findById(operation._id);
+
+    if (finished.status === 'failed') {
+      throw new ApiError(500, `Bulk ${action} failed: ${finished.error}`);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        operationId: finished._id,
+        operation: finished,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the status and counts of a bulk operation
+ * @route   GET /api/leads/bulk/:id
+ * @access  Private (leads:read)
+ */
+export const getBulkOperation = async (req, res, next) => {
+  try {
+    const operation = await BulkOperation.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!operation) {
+      throw new NotFoundError('Bulk operation not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        operation,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Delete lead
  * @route   DELETE /api/leads/:id
- * @access  Public
+ * @access  Private (leads:delete)
  */
 export const deleteLead = async (req, res, next) => {
   try {
-    const lead = await Lead.findByIdAndDelete(req.params.id);
+    const lead = await Lead.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
 
     if (!lead) {
       throw new NotFoundError('Lead not found');
     }
 
+    await LeadScore.deleteMany({ lead: lead._id });
+    await CrmSync.deleteMany({ lead: lead._id });
+    await LeadDuplicate.deleteForLeads([lead._id]);
+
     logger.info(`Deleted lead: ${lead._id}`);
 
     res.status(204).json({
@@ -1,12 +1,37 @@
+import { isDeepStrictEqual } from 'util';
 import { ApiError, NotFoundError } from '../middleware/errorHandler.js';
-import Offer from '../models/Offer.js';
+import Offer, { SCORING_FIELDS } from '../models/Offer.js';
+import LeadScore from '../models/LeadScore.js';
+import ScoringJob from '../models/ScoringJob.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { markScoresStale } from '../services/scoring.service.js';
+import { SCORING_JOB } from '../workers/scoring.worker.js';
 import logger from '../utils/logger.js';
 import APIFeatures from '../utils/apiFeatures.js';
 
+/**
+ * Check whether an update changes any offer field used for scoring
+ * @param {Object} current - Stored offer
+ * @param {Object} update - Request body
+ * @returns {boolean} - True if scores computed before the update are stale
+ */
+const hasScoringChanges = (current, update) =>
+  SCORING_FIELDS.some((field) => {
+    if (update[field] === undefined) {
+      return false;
+    }
+    if (field === 'scoring_rules') {
+      // Rule sets are not normalized the way they are stored; any edit counts
+      return true;
+    }
+    const next = update[field].map((item) => String(item).trim());
+    return !isDeepStrictEqual(next, current[field] || []);
+  });
+
 /**
  * @desc    Get all offers
  * @route   GET /api/offers
- * @access  Public
+ * @access  Private (offers:read)
  */
 export const getOffers = async (req, res, next) => {
   try {
@@ -17,8 +42,8 @@ export const getOffers = async (req, res, next) => {
       .limitFields()
       .paginate();
 
-    // Execute query
-    const offers = await features.query;
+    // Execute query; the workspace condition is applied last so query params cannot replace it
+    const offers = await features.query.where({ workspace: req.workspace._id });
 
     res.status(200).json({
       status: 'success',
@@ -35,16 +60,18 @@ export const getOffers = async (req, res, next) => {
 /**
  * @desc    Create a new offer
  * @route   POST /api/offers
- * @access  Public
+ * @access  Private (offers:write)
  */
 export const createOffer = async (req, res, next) => {
   try {
-    const { name, value_props, ideal_use_cases } = req.body;
+    const { name, value_props, ideal_use_cases, scoring_rules } = req.body;
 
     const offer = new Offer({
+      workspace: req.workspace._id,
       name,
       value_props,
       ideal_use_cases,
+      scoring_rules,
     });
 
     await offer.save();
@@ -65,11 +92,11 @@ export const createOffer = async (req, res, next) => {
 /**
  * @desc    Get offer by ID
  * @route   GET /api/offers/:id
- * @access  Public
+ * @access  Private (offers:read)
  */
 export const getOffer = async (req, res, next) => {
   try {
-    const offer = await Offer.findById(req.params.id);
+    const offer = await Offer.findOne({ _id: req.params.id, workspace: req.workspace._id });
 
     if (!offer) {
       throw new NotFoundError('Offer not found');
@@ -89,15 +116,32 @@ export const getOffer = async (req, res, next) => {
 /**
  * @desc    Update offer
  * @route   PUT /api/offers/:id
- * @access  Public
+ * @access  Private (offers:write)
  */
 export const updateOffer = async (req, res, next) => {
   try {
-    const { name, value_props, ideal_use_cases } = req.body;
+    const { name, value_props, ideal_use_cases, scoring_rules } = req.body;
+
+    const current = await Offer.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean();
+
+    if (!current) {
+      throw new NotFoundError('Offer not found');
+    }
 
-    const offer = await Offer.findByIdAndUpdate(
-      req.params.id,
-      { name, value_props, ideal_use_cases, updatedAt: Date.now() },
+    // A new revision makes every score computed from the old one stale
+    const scoringChanged = hasScoringChanges(current, req.body);
+
+    // scoring_rules: null clears the offer's rules and reverts to the defaults
+    const offer = await Offer.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspace._id },
+      {
+        name,
+        value_props,
+        ideal_use_cases,
+        scoring_rules,
+        updatedAt: Date.now(),
+        ...(scoringChanged && { $inc: { revision: 1 } }),
+      },
       { new: true, runValidators: true }
     );
 
@@ -105,12 +149,65 @@ export const updateOffer = async (req, res, next) => {
       throw new NotFoundError('Offer not found');
     }
 
-    logger.info(`Updated offer: ${offer._id}`);
+    let staleScores = 0;
+    if (scoringChanged) {
+      staleScores = await markScoresStale({
+        offer: offer._id,
+        offer_revision: { $lt: offer.revision },
+      });
+    }
+
+    logger.info(`Updated offer: ${offer._id}${scoringChanged ? ` (revision ${offer.revision}, ${staleScores} scores marked stale)` : ''}`);
 
     res.status(200).json({
       status: 'success',
       data: {
         offer,
+        staleScores,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Queue a job that re-scores leads already scored for an offer
+ * @route   POST /api/offers/:id/rescore
+ * @access  Private (scoring:run)
+ */
+export const rescoreOffer = async (req, res, next) => {
+  try {
+    const { filter = {}, limit = 1000 } = req.body;
+
+    if (!(await Offer.offerExists(req.params.id, req.workspace._id))) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    const job = await ScoringJob.create({
+      workspace: req.workspace._id,
+      type: 'rescore',
+      offer: req.params.id,
+      limit: parseInt(limit),
+      filter: {
+        stale_only: filter.staleOnly !== false,
+        lead_ids: filter.leadIds,
+        min_score: filter.minScore,
+        max_score: filter.maxScore,
+        industry: filter.industry,
+      },
+    });
+
+    enqueueJob(SCORING_JOB, job._id);
+
+    logger.info(`Queued rescore job ${job._id} for offer ${req.params.id}`);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Rescore job queued',
+      data: {
+        jobId: job._id,
+        job,
       },
     });
   } catch (error) {
@@ -121,16 +218,18 @@ export const updateOffer = async (req, res, next) => {
 /**
  * @desc    Delete offer
  * @route   DELETE /api/offers/:id
- * @access  Public
+ * @access  Private (offers:write)
  */
 export const deleteOffer = async (req, res, next) => {
   try {
-    const offer = await Offer.findByIdAndDelete(req.params.id);
+    const offer = await Offer.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
 
     if (!offer) {
       throw new NotFoundError('Offer not found');
     }
 
+    await LeadScore.deleteMany({ offer: offer._id });
+
     logger.info(`Deleted offer: ${offer._id}`);
 
     res.status(204).json({
@@ -1,30 +1,189 @@
-import { Readable } from 'stream';
-import { stringify } from 'csv-stringify';
-import { ApiError } from '../middleware/errorHandler.js';
+import mongoose from 'mongoose';
 import Lead from '../models/Lead.js';
+import LeadScore, { HAS_SCORE } from '../models/LeadScore.js';
+import Offer from '../models/Offer.js';
+import { createExportWriter, DEFAULT_EXPORT_COLUMNS } from '../services/resultExport.service.js';
+import { buildLeadFilter, buildLeadSort, scoreRange } from '../utils/leadFilter.js';
+import { wantsCursor, applyCursor, getCursorPage } from '../utils/cursor.js';
 import logger from '../utils/logger.js';
 
+const LEAD_FIELDS = 'name email role company industry linkedin phone';
+
+/**
+ * Build the LeadScore filter shared by the results endpoints
+ * @param {Object} query - Request query
+ * @param {Object} workspace - Workspace id the results are limited to
+ * @returns {Object} - MongoDB filter
+ */
+const buildResultsFilter = ({ offerId, stale, status, minScore, maxScore }, workspace) => {
+  const score = scoreRange(minScore, maxScore);
+
+  return {
+    workspace,
+    ...(offerId && { offer: offerId }),
+    ...(stale !== undefined && { stale }),
+    // Failed AI calls have no score and are only listed when asked for
+    ...(status ? { status } : HAS_SCORE),
+    ...(score && { score }),
+  };
+};
+
+/**
+ * Build the Lead filter for the lead-level results criteria; the score range applies to the score itself
+ * @param {Object} query - Request query
+ * @returns {Object} - MongoDB filter for Lead
+ */
+const buildResultsLeadFilter = ({ search, industry, createdFrom, createdTo, tag, assignedTo }) =>
+  buildLeadFilter({ search, industry, createdFrom, createdTo, tag, assignedTo });
+
+/**
+ * Build the sort for results, accepting the older `sort=-score` style as well as sortBy/orderBy
+ * @param {Object} query - Request query
+ * @returns {Object} - MongoDB sort
+ */
+const buildResultsSort = ({ sort, sortBy, orderBy, search }) => {
+  if (!sortBy && sort) {
+    return buildLeadSort({ sortBy: sort.replace(/^-/, ''), orderBy: sort.startsWith('-') ? 'desc' : 'asc' });
+  }
+  return buildLeadSort({ sortBy, orderBy, search }, 'score');
+};
+
+/**
+ * Build the pipeline finding scores whose lead matches lead-level criteria. It starts from Lead
+ * because `$text` has to be the first stage.
+ * @param {Object} leadFilter - Lead filter from buildLeadFilter
+ * @param {Object} scoreFilter - LeadScore filter from buildResultsFilter; its workspace limits the leads too
+ * @returns {Object[]} - Stages producing scores shaped like a LeadScore with `lead` populated
+ */
+const buildResultsPipeline = (leadFilter, scoreFilter) => {
+  const hasSearch = Boolean(leadFilter.$text);
+  const { offer, ...rest } = scoreFilter;
+
+  return [
+    { $match: { ...leadFilter, workspace: scoreFilter.workspace } },
+    // Text relevance does not survive the reshaping below, so it is copied onto the score first
+    ...(hasSearch ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+    {
+      $lookup: {
+        from: LeadScore.collection.name,
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$lead', '$$leadId'] } } },
+          { $match: { ...rest, ...(offer && { offer: new mongoose.Types.ObjectId(offer) }) } },
+        ],
+        as: 'leadScore',
+      },
+    },
+    { $unwind: '$leadScore' },
+    {
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: [
+            '$leadScore',
+            {
+              lead: Object.fromEntries(
+                ['_id', ...LEAD_FIELDS.split(' ')].map((field) => [field, `$${field}`])
+              ),
+              ...(hasSearch && { relevance: '$relevance' }),
+            },
+          ],
+        },
+      },
+    },
+  ];
+};
+
+// After buildResultsPipeline, relevance is a plain field
+const toPipelineSort = (sort) => (sort.relevance ? { relevance: -1, _id: 1 } : sort);
+
+/**
+ * Find scores whose lead matches lead-level criteria
+ * @param {Object} leadFilter - Lead filter from buildLeadFilter
+ * @param {Object} scoreFilter - LeadScore filter from buildResultsFilter
+ * @param {Object} options - `sort`, `skip`, `limit`, the `after` cursor, and `withTotal` to count matches
+ * @returns {Promise<{ results: Object[], total?: number }>} - Scores shaped like a populated LeadScore
+ */
+const aggregateResults = async (leadFilter, scoreFilter, { sort, skip = 0, limit, after, withTotal }) => {
+  const [{ results, total }] = await Lead.aggregate([
+    ...buildResultsPipeline(leadFilter, scoreFilter),
+    {
+      $facet: {
+        results: [
+          // The cursor only narrows the page; the total counts every match
+          ...(after ? [{ $match: applyCursor({}, after, sort) }] : []),
+          { $sort: toPipelineSort(sort) },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        ...(withTotal && { total: [{ $count: 'count' }] }),
+      },
+    },
+  ]);
+
+  await LeadScore.populate(results, { path: 'offer', select: 'name' });
+
+  return { results, total: withTotal ? total[0]?.count || 0 : undefined };
+};
+
 /**
- * @desc    Get all scored leads with reasoning
+ * @desc    Get scored leads with reasoning, with the lead search filters.
+ *          Paged by `page`, or by cursor with `after` / `paginate=cursor`.
  * @route   GET /api/results
- * @access  Public
+ * @access  Private (results:read)
  */
 export const getResults = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, sort = '-score' } = req.query;
-    const skip = (page - 1) * limit;
+    const { page = 1, limit = 10, after, includeTotal } = req.query;
+    const filter = buildResultsFilter(req.query, req.workspace._id);
+    const sort = buildResultsSort(req.query);
+    const leadFilter = buildResultsLeadFilter(req.query);
+
+    // Cursor pages fetch one extra document to know whether another page follows
+    const cursorMode = wantsCursor(req.query);
+    const pageSize = parseInt(limit);
+    const skip = cursorMode ? 0 : (page - 1) * pageSize;
+    const fetchLimit = cursorMode ? pageSize + 1 : pageSize;
+    const withTotal = !cursorMode || Boolean(includeTotal);
 
-    // Only get processed leads
-    const query = Lead.find({ is_processed: true })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    let docs;
+    let total;
 
-    const [results, total] = await Promise.all([
-      query.exec(),
-      Lead.countDocuments({ is_processed: true }),
-    ]);
+    if (Object.keys(leadFilter).length > 0) {
+      ({ results: docs, total } = await aggregateResults(leadFilter, filter, {
+        sort,
+        skip,
+        limit: fetchLimit,
+        after,
+        withTotal,
+      }));
+    } else {
+      const query = LeadScore.find(applyCursor(filter, after, sort))
+        .sort(sort)
+        .skip(skip)
+        .limit(fetchLimit)
+        .populate('lead', LEAD_FIELDS)
+        .populate('offer', 'name')
+        .lean();
+
+      [docs, total] = await Promise.all([
+        query.exec(),
+        withTotal ? LeadScore.countDocuments(filter) : undefined,
+      ]);
+    }
+
+    if (cursorMode) {
+      const { items, nextCursor, hasMore } = getCursorPage(docs, pageSize, sort);
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          total,
+          nextCursor,
+          hasMore,
+          results: items,
+        },
+      });
+    }
 
     const totalPages = Math.ceil(total / limit);
 
@@ -34,7 +193,7 @@ export const getResults = async (req, res, next) => {
         total,
         totalPages,
         currentPage: parseInt(page),
-        results,
+        results: docs,
       },
     });
   } catch (error) {
@@ -43,69 +202,88 @@ export const getResults = async (req, res, next) => {
 };
 
 /**
- * @desc    Export results as CSV
+ * @desc    Stream results as CSV, NDJSON, JSON or XLSX, with the results filters and a column choice
  * @route   GET /api/results/export
- * @access  Public
+ * @access  Private (results:export)
  */
 export const exportResults = async (req, res, next) => {
+  let cursor;
+
   try {
-    // Get all processed leads
-    const leads = await Lead.find({ is_processed: true })
-      .sort('-score')
-      .lean();
+    const { format = 'csv' } = req.query;
+    const columns = req.query.columns || DEFAULT_EXPORT_COLUMNS;
+    const filter = buildResultsFilter(req.query, req.workspace._id);
+    const sort = buildResultsSort(req.query);
+    const leadFilter = buildResultsLeadFilter(req.query);
+    const needsOffer = columns.includes('offer');
+
+    if (Object.keys(leadFilter).length > 0) {
+      cursor = Lead.aggregate([
+        ...buildResultsPipeline(leadFilter, filter),
+        { $sort: toPipelineSort(sort) },
+      ])
+        .allowDiskUse(true)
+        .cursor();
+    } else {
+      cursor = LeadScore.find(filter)
+        .sort(sort)
+        .populate('lead', LEAD_FIELDS)
+        .lean()
+        .cursor();
+    }
+
+    // Offers are few; look each one up once instead of populating every score
+    const offerNames = new Map();
+    const withOffer = async (score) => {
+      if (!needsOffer || !score.offer) {
+        return score;
+      }
+      const key = score.offer.toString();
+      if (!offerNames.has(key)) {
+        offerNames.set(key, (await Offer.findOne({ _id: score.offer, workspace: req.workspace._id }).select('name').lean()) || null);
+      }
+      return { ...score, offer: offerNames.get(key) };
+    };
+
+    // Scores whose lead was deleted are skipped
+    const nextScore = async () => {
+      for (let score = await cursor.next(); score; score = await cursor.next()) {
+        if (score.lead) {
+          return withOffer(score);
+        }
+      }
+      return null;
+    };
+
+    let score = await nextScore();
 
-    if (leads.length === 0) {
+    if (!score) {
       return res.status(404).json({
         status: 'error',
         message: 'No results found to export',
       });
     }
 
-    // Define CSV columns
-    const columns = [
-      'Name',
-      'Email',
-      'Role',
-      'Company',
-      'Industry',
-      'Score',
-      'Score Reason',
-      'Processed At',
-    ];
-
-    // Prepare data for CSV
-    const data = [];
-    leads.forEach((lead) => {
-      data.push([
-        lead.name,
-        lead.email,
-        lead.role,
-        lead.company,
-        lead.industry,
-        lead.score,
-        lead.score_reason,
-        new Date(lead.processed_at).toISOString(),
-      ]);
-    });
+    const writer = createExportWriter(format, res, columns);
+    let exported = 0;
 
-    // Create CSV string
-    stringify([columns, ...data], (err, output) => {
-      if (err) {
-        logger.error('Error generating CSV:', err);
-        throw new ApiError('Error generating CSV export');
-      }
+    for (; score; score = await nextScore()) {
+      await writer.write(score);
+      exported++;
+    }
 
-      // Set headers for file download
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader(
-        'Content-Disposition',
-        'attachment; filename=lead_scores_export.csv'
-      );
+    await writer.end();
 
-      // Send the CSV file
-      res.status(200).send(output);
-    });
+    logger.info(`Exported ${exported} results as ${format}`);
   } catch (error) {
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      logger.error(`Results export failed: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
     next(error);
+  } finally {
+    await cursor?.close().catch(() => {});
   }
 };
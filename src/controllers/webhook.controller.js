@@ -0,0 +1,263 @@
+import { NotFoundError } from '../middleware/errorHandler.js';
+import Webhook, { generateWebhookSecret } from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { replayDelivery } from '../services/webhook.service.js';
+import { getActor } from '../utils/actor.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Find one of the workspace's webhooks or throw a 404
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Webhook document
+ */
+const findWebhook = async (req) => {
+  const webhook = await Webhook.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  return webhook;
+};
+
+/**
+ * Find one of a webhook's deliveries or throw a 404
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - WebhookDelivery document
+ */
+const findDelivery = async (req) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    webhook: req.params.id,
+    workspace: req.workspace._id,
+  });
+
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found');
+  }
+
+  return delivery;
+};
+
+/**
+ * @desc    Get the workspace's webhooks
+ * @route   GET /api/webhooks
+ * @access  Private (webhooks:read)
+ */
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ workspace: req.workspace._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: webhooks.length,
+      data: {
+        webhooks,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a webhook; the signing secret is returned only in this response
+ * @route   POST /api/webhooks
+ * @access  Private (webhooks:manage)
+ */
+export const createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const secret = generateWebhookSecret();
+
+    const webhook = await Webhook.create({
+      workspace: req.workspace._id,
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret,
+      created_by: getActor(req),
+    });
+
+    logger.info(`Created webhook ${webhook._id} for ${webhook.events.join(', ')}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        webhook,
+        secret,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get webhook by ID
+ * @route   GET /api/webhooks/:id
+ * @access  Private (webhooks:read)
+ */
+export const getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        webhook,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a webhook's URL, events, description or active flag, or rotate its secret
+ * @route   PUT /api/webhooks/:id
+ * @access  Private (webhooks:manage)
+ */
+export const updateWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, active, rotateSecret } = req.body;
+    const webhook = await findWebhook(req);
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+
+    const secret = rotateSecret ? generateWebhookSecret() : undefined;
+    if (secret) {
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    logger.info(`Updated webhook: ${webhook._id}${secret ? ' (secret rotated)' : ''}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        webhook,
+        ...(secret && { secret }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a webhook and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (webhooks:manage)
+ */
+export const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    // Pending retries find the webhook gone and are marked failed; the rest of the log goes now
+    await WebhookDelivery.deleteMany({ webhook: webhook._id, status: { $in: ['succeeded', 'failed'] } });
+
+    logger.info(`Deleted webhook: ${webhook._id}`);
+
+    res.status(204).json({
+      status: 'success',
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a webhook's deliveries, newest first
+ * @route   GET /api/webhooks/:id/deliveries
+ * @access  Private (webhooks:read)
+ */
+export const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, event } = req.query;
+    const skip = (page - 1) * limit;
+    const webhook = await findWebhook(req);
+
+    const filter = {
+      webhook: webhook._id,
+      workspace: req.workspace._id,
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+
+    // The log lists outcomes; payloads and response bodies are on the single delivery
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-payload -response_body'),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        deliveries,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a delivery with its payload, attempts and last response body
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @access  Private (webhooks:read)
+ */
+export const getWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        delivery,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a delivery's payload again as a new delivery
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * @access  Private (webhooks:manage)
+ */
+export const replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req);
+    const replay = await replayDelivery(delivery);
+
+    logger.info(`Replaying webhook delivery ${delivery._id} as ${replay._id}`);
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        delivery: replay,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,111 @@
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import { assertAgencyWide, callerWorkspaceScope } from '../middleware/workspace.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @desc    Get the workspaces the caller can access
+ * @route   GET /api/workspaces
+ * @access  Private (workspaces:read)
+ */
+export const getWorkspaces = async (req, res, next) => {
+  try {
+    const workspaces = await Workspace.find(callerWorkspaceScope(req, '_id')).sort('name');
+
+    res.status(200).json({
+      status: 'success',
+      results: workspaces.length,
+      data: {
+        workspaces,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a workspace
+ * @route   POST /api/workspaces
+ * @access  Private (workspaces:manage, agency-wide credentials only)
+ */
+export const createWorkspace = async (req, res, next) => {
+  try {
+    assertAgencyWide(req);
+
+    const { name, slug, description, phoneRegion } = req.body;
+
+    if (await Workspace.exists({ slug })) {
+      throw new BadRequestError(`A workspace with slug "${slug}" already exists`);
+    }
+
+    const workspace = await Workspace.create({ name, slug, description, phone_region: phoneRegion });
+
+    logger.info(`Created workspace ${workspace._id} (${workspace.slug})`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        workspace,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get workspace by ID
+ * @route   GET /api/workspaces/:id
+ * @access  Private (workspaces:read)
+ */
+export const getWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ ...callerWorkspaceScope(req, '_id'), _id: req.params.id });
+
+    if (!workspace) {
+      throw new NotFoundError('Workspace not found');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspace,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename a workspace or change its description; the slug cannot change
+ * @route   PUT /api/workspaces/:id
+ * @access  Private (workspaces:manage)
+ */
+export const updateWorkspace = async (req, res, next) => {
+  try {
+    const { name, description, phoneRegion } = req.body;
+
+    const workspace = await Workspace.findOneAndUpdate(
+      { ...callerWorkspaceScope(req, '_id'), _id: req.params.id },
+      { name, description, phone_region: phoneRegion },
+      { new: true, runValidators: true }
+    );
+
+    if (!workspace) {
+      throw new NotFoundError('Workspace not found');
+    }
+
+    logger.info(`Updated workspace: ${workspace._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        workspace,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
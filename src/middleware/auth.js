@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import authConfig, { ROLES, PERMISSIONS } from '../config/auth.js';
+import ApiKey, { hashApiKey } from '../models/ApiKey.js';
+import Workspace from '../models/Workspace.js';
+import { ForbiddenError, UnauthorizedError } from './errorHandler.js';
+import logger from '../utils/logger.js';
+
+// last_used_at is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Read the credential from `X-API-Key` or `Authorization: Bearer`
+ * @param {Object} req - Express request
+ * @returns {string|undefined}
+ */
+const getCredential = (req) => {
+  const apiKey = req.get('X-API-Key')?.trim();
+  if (apiKey) {
+    return apiKey;
+  }
+  const [scheme, token] = (req.get('Authorization') || '').trim().split(/\s+/);
+  return scheme?.toLowerCase() === 'bearer' && token ? token : undefined;
+};
+
+const isBootstrapKey = (credential) => {
+  const { bootstrapAdminKey } = authConfig;
+  if (!bootstrapAdminKey) {
+    return false;
+  }
+  // Compare digests so the check takes the same time whatever the input
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(credential), 'hex'),
+    Buffer.from(hashApiKey(bootstrapAdminKey), 'hex')
+  );
+};
+
+const authenticateApiKey = async (credential) => {
+  const key = await ApiKey.findActiveByKey(credential);
+  if (!key) {
+    throw new UnauthorizedError('Invalid, revoked or expired API key');
+  }
+
+  if (!key.last_used_at || Date.now() - key.last_used_at.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: key._id }, { $set: { last_used_at: new Date() } }).catch((error) => {
+      logger.warn(`Could not record use of API key ${key._id}: ${error.message}`);
+    });
+  }
+
+  return { type: 'api-key', id: key._id.toString(), name: key.name, role: key.role, workspace: key.workspace };
+};
+
+const authenticateToken = async (token) => {
+  const { secret, issuer, audience, roleClaim, workspaceClaim } = authConfig.jwt;
+  if (!secret) {
+    throw new UnauthorizedError('Bearer tokens are not accepted; use an API key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { algorithms: ['HS256'], issuer, audience });
+  } catch (error) {
+    throw new UnauthorizedError(`Invalid token: ${error.message}`);
+  }
+
+  const role = payload[roleClaim];
+  if (!ROLES.includes(role)) {
+    throw new UnauthorizedError(`Token must carry a "${roleClaim}" claim of ${ROLES.join(', ')}`);
+  }
+
+  // The claim may name the workspace by slug; req.auth always carries its id
+  let workspace = null;
+  if (payload[workspaceClaim]) {
+    workspace = (await Workspace.findByIdOrSlug(payload[workspaceClaim]))?._id;
+    if (!workspace) {
+      throw new UnauthorizedError(`Token workspace not found: ${payload[workspaceClaim]}`);
+    }
+  }
+
+  return {
+    type: 'jwt',
+    id: payload.sub,
+    name: payload.name || payload.sub || 'jwt',
+    role,
+    workspace,
+  };
+};
+
+/**
+ * Authenticate the request by API key or JWT and set `req.auth` to `{ type, id, name, role, workspace }`;
+ * `workspace` is null for agency-wide credentials
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const credential = getCredential(req);
+    if (!credential) {
+      throw new UnauthorizedError('Authentication required: send an API key in X-API-Key or a bearer token');
+    }
+
+    if (isBootstrapKey(credential)) {
+      req.auth = { type: 'bootstrap', id: null, name: 'bootstrap-admin', role: 'admin', workspace: null };
+    } else if (credential.startsWith(authConfig.apiKeyPrefix)) {
+      req.auth = await authenticateApiKey(credential);
+    } else {
+      req.auth = await authenticateToken(credential);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => PERMISSIONS[permission]?.includes(role) ?? false;
+
+/**
+ * Reject callers whose role lacks a permission
+ * @param {Object} req - Express request, after authenticate
+ * @param {string} permission - Key of PERMISSIONS
+ * @throws {UnauthorizedError|ForbiddenError}
+ */
+export const assertPermission = (req, permission) => {
+  if (!req.auth) {
+    throw new UnauthorizedError('Authentication required');
+  }
+  if (!hasPermission(req.auth.role, permission)) {
+    throw new ForbiddenError(`The ${req.auth.role} role does not have the ${permission} permission`);
+  }
+};
+
+/**
+ * Route middleware requiring a permission
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {Function} - Express middleware function
+ */
+export const authorize = (permission) => {
+  // Fail at startup on a typo rather than forbidding every request
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    try {
+      assertPermission(req, permission);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default {
+  authenticate,
+  authorize,
+  assertPermission,
+  hasPermission,
+};
@@ -14,6 +14,7 @@ export const errorHandler = (err, req, res, next) => {
   const errorResponse = {
     status: 'error',
     message: err.message || 'Internal Server Error',
+    ...(err.details && { errors: err.details }),
     ...(!isProduction && { stack: err.stack }),
   };
 
@@ -72,8 +73,13 @@ export class NotFoundError extends ApiError {
  * 400 Bad Request error
  */
 export class BadRequestError extends ApiError {
-  constructor(message = 'Bad Request') {
+  /**
+   * @param {string} message - Error message
+   * @param {Array} [details] - Per-field errors returned to the client
+   */
+  constructor(message = 'Bad Request', details) {
     super(400, message);
+    this.details = details;
   }
 }
 
@@ -1,5 +1,28 @@
 import { validationResult, body, param, query } from 'express-validator';
 import { BadRequestError } from './errorHandler.js';
+import { COMPLETENESS_FIELDS } from '../models/Offer.js';
+import { EDITABLE_LEAD_FIELDS } from '../models/Lead.js';
+import { SCORE_STATUSES } from '../models/LeadScore.js';
+import { IMPORT_MODES, MERGE_STRATEGIES, MAX_PREVIEW_ROWS } from '../services/leadImport.service.js';
+import { LEAD_IMPORT_FIELDS } from '../services/columnMapping.service.js';
+import { IMPORT_FORMATS } from '../services/recordReader.service.js';
+import { IMPORT_BATCH_STATUSES } from '../models/ImportBatch.js';
+import { BULK_ACTIONS } from '../models/BulkOperation.js';
+import { DUPLICATE_STATUSES } from '../models/LeadDuplicate.js';
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { CRM_SOURCE_FIELD_NAMES } from '../models/CrmConnection.js';
+import { CRM_SYNC_STATUSES } from '../models/CrmSync.js';
+import { CRM_SYNC_MODES } from '../models/CrmSyncJob.js';
+import { CRM_ADAPTERS } from '../services/crm/index.js';
+import { assertCrmUrl } from '../services/crm/http.js';
+import { SALESFORCE_API_NAME, SALESFORCE_API_VERSION } from '../services/crm/salesforce.adapter.js';
+import { isPhoneRegion } from '../services/normalization.service.js';
+import { MERGE_FIELDS } from '../services/leadMerge.service.js';
+import { ROLES } from '../config/auth.js';
+import { assertPublicUrl } from '../utils/publicUrl.js';
+import { LEAD_SORT_FIELDS, RESULT_SORT_FIELDS } from '../utils/leadFilter.js';
+import { EXPORT_FORMATS, EXPORT_COLUMNS } from '../services/resultExport.service.js';
 
 /**
  * Validation middleware
@@ -25,12 +48,267 @@ export const validate = (validations) => {
       return next();
     }
 
-    throw new BadRequestError('Validation failed', {
-      errors: errors.array(),
-    });
+    // Hand the error to Express; throwing from an async middleware would go unhandled
+    return next(new BadRequestError('Validation failed', errors.array()));
   };
 };
 
+// Shared rules for an offer's optional scoring_rules object
+const scoringRulesValidation = [
+  body('scoring_rules')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Scoring rules must be an object'),
+  body('scoring_rules.role_tiers')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Role tiers must be a non-empty array'),
+  body('scoring_rules.role_tiers.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Role tier label is required'),
+  body('scoring_rules.role_tiers.*.keywords')
+    .isArray({ min: 1 })
+    .withMessage('Role tier needs at least one keyword'),
+  body('scoring_rules.role_tiers.*.points')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Role tier points must be between 0 and 100')
+    .toInt(),
+  body([
+    'scoring_rules.industry.match_keywords',
+    'scoring_rules.industry.adjacent_keywords',
+  ])
+    .optional()
+    .isArray()
+    .withMessage('Industry keywords must be an array'),
+  body([
+    'scoring_rules.industry.exact_points',
+    'scoring_rules.industry.adjacent_points',
+    'scoring_rules.completeness.complete_points',
+    'scoring_rules.completeness.partial_points',
+    'scoring_rules.enrichment.free_mail_penalty',
+  ])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Rule points must be between 0 and 100')
+    .toInt(),
+  body('scoring_rules.completeness.fields')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Completeness fields must be a non-empty array'),
+  body('scoring_rules.completeness.fields.*')
+    .isIn(COMPLETENESS_FIELDS)
+    .withMessage(`Completeness fields must be one of: ${COMPLETENESS_FIELDS.join(', ')}`),
+  body('scoring_rules.max_score')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Maximum rule score must be between 1 and 100')
+    .toInt(),
+];
+
+// Shared rules for the lead search filters of GET /api/leads and /api/results
+const leadFilterValidation = [
+  query('orderBy')
+    .optional()
+    .isString()
+    .trim()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be either asc or desc'),
+  query('minScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum score must be between 0 and 100')
+    .toInt(),
+  query('maxScore')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Maximum score must be between 0 and 100')
+    .toInt()
+    .custom((maxScore, { req }) => req.query.minScore === undefined || Number(maxScore) >= Number(req.query.minScore))
+    .withMessage('Maximum score cannot be lower than minimum score'),
+  // Not HTML-escaped: the values are matched as text, never rendered
+  query('industry')
+    .optional()
+    .isString()
+    .trim(),
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search cannot be longer than 200 characters'),
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601, e.g. 2024-01-31')
+    .toDate(),
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601, e.g. 2024-01-31')
+    // A bare date as the upper bound includes the whole day
+    .customSanitizer((value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value))
+    .toDate(),
+  query(['tag', 'assignedTo'])
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Cannot be empty'),
+  query('sortBy')
+    .optional()
+    .custom((sortBy, { req }) => sortBy !== 'relevance' || Boolean(req.query.search))
+    .withMessage('Sorting by relevance needs a search'),
+];
+
+// Shared rules for cursor pagination; `page` is the older offset style
+const cursorPaginationValidation = [
+  query('after')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor'),
+  query('paginate')
+    .optional()
+    .isIn(['offset', 'cursor'])
+    .withMessage('paginate must be offset or cursor'),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false')
+    .toBoolean(),
+  query('page')
+    .optional()
+    .custom((page, { req }) => !req.query.after && req.query.paginate !== 'cursor')
+    .withMessage('page cannot be combined with cursor pagination'),
+];
+
+const webhookUrlValidation = () =>
+  body('url')
+    .isString()
+    .withMessage('URL is required')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https URL')
+    .bail()
+    .custom(assertPublicUrl);
+
+const webhookEventsValidation = () =>
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array')
+    .custom((events) => events.every((event) => WEBHOOK_EVENTS.includes(event)))
+    .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+
+const isCrmFieldMapping = (mapping) =>
+  mapping !== null &&
+  typeof mapping === 'object' &&
+  !Array.isArray(mapping) &&
+  Object.keys(mapping).length > 0 &&
+  Object.values(mapping).every((field) => CRM_SOURCE_FIELD_NAMES.includes(field));
+
+const crmConnectionValidation = () => [
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object'),
+  body('settings.base_url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('settings.base_url must be an http or https URL')
+    .bail()
+    .custom(assertCrmUrl),
+  body(['settings.object', 'settings.external_id_field', 'settings.api_version', 'settings.file'])
+    .optional()
+    .isString()
+    .withMessage('Settings values must be strings')
+    .trim()
+    .notEmpty()
+    .withMessage('Settings values cannot be empty'),
+  // Salesforce settings become part of the request path
+  body(['settings.object', 'settings.external_id_field'])
+    .optional()
+    .matches(SALESFORCE_API_NAME)
+    .withMessage('settings.object and settings.external_id_field must be API names, e.g. Lead or Lead_Scoring_Id__c'),
+  body('settings.api_version')
+    .optional()
+    .matches(SALESFORCE_API_VERSION)
+    .withMessage('settings.api_version must be a version number, e.g. 59.0'),
+  body('accessToken')
+    .optional()
+    .isString()
+    .withMessage('accessToken must be a string'),
+  body('fieldMapping')
+    .optional()
+    .custom(isCrmFieldMapping)
+    .withMessage(`fieldMapping must map CRM fields to source fields: ${CRM_SOURCE_FIELD_NAMES.join(', ')}`),
+  body('minScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('minScore must be between 0 and 100')
+    .toFloat(),
+  body(['autoSync', 'active'])
+    .optional()
+    .isBoolean()
+    .withMessage('autoSync and active must be booleans'),
+];
+
+// Multipart form fields arrive as strings; parse a JSON object, leave anything else to fail validation
+const parseJSONField = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// A column mapping: lead field -> file header
+const isColumnMapping = (mapping) =>
+  mapping !== null &&
+  typeof mapping === 'object' &&
+  !Array.isArray(mapping) &&
+  Object.entries(mapping).every(
+    ([field, header]) => LEAD_IMPORT_FIELDS.includes(field) && typeof header === 'string'
+  );
+
+const columnMappingMessage = `Mapping must be an object of lead field (${LEAD_IMPORT_FIELDS.join(', ')}) to column header`;
+
+// Shared rules for reading an upload and choosing its column mapping
+const uploadMappingValidation = [
+  query('format')
+    .optional()
+    .isIn(IMPORT_FORMATS)
+    .withMessage(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  query('sheet')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Sheet must be a sheet name or 1-based position'),
+  body('mapping')
+    .optional()
+    .customSanitizer(parseJSONField)
+    .custom(isColumnMapping)
+    .withMessage(columnMappingMessage),
+  body('template')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Template must be an import template ID or name'),
+  query('template')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Template must be an import template ID or name'),
+  query('phoneRegion')
+    .optional()
+    .custom(isPhoneRegion)
+    .withMessage('phoneRegion must be a two-letter country code')
+    .toUpperCase(),
+];
+
 // Validation schemas
 export const validationSchemas = {
   createOffer: [
@@ -54,6 +332,7 @@ export const validationSchemas = {
       .trim()
       .notEmpty()
       .withMessage('Ideal use case cannot be empty'),
+    ...scoringRulesValidation,
   ],
 
   getOffer: [
@@ -89,6 +368,7 @@ export const validationSchemas = {
       .trim()
       .notEmpty()
       .withMessage('Ideal use case cannot be empty'),
+    ...scoringRulesValidation,
   ],
 
   deleteOffer: [
@@ -97,6 +377,41 @@ export const validationSchemas = {
       .withMessage('Invalid offer ID format')
   ],
 
+  rescoreOffer: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid offer ID format'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Limit must be between 1 and 10000'),
+    body('filter')
+      .optional()
+      .isObject()
+      .withMessage('Filter must be an object'),
+    body('filter.staleOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('staleOnly must be a boolean')
+      .toBoolean(),
+    body('filter.leadIds')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('leadIds must be a non-empty array'),
+    body('filter.leadIds.*')
+      .isMongoId()
+      .withMessage('Invalid lead ID format'),
+    body(['filter.minScore', 'filter.maxScore'])
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Score filters must be between 0 and 100')
+      .toInt(),
+    body('filter.industry')
+      .optional()
+      .isString()
+      .trim(),
+  ],
+
   getLeads: [
     query('page')
       .optional()
@@ -112,40 +427,153 @@ export const validationSchemas = {
       .optional()
       .isString()
       .trim()
-      .isIn(['name', 'email', 'score', 'createdAt'])
-      .withMessage('Invalid sort field'),
-    query('orderBy')
+      .isIn(LEAD_SORT_FIELDS)
+      .withMessage(`Sort field must be one of: ${LEAD_SORT_FIELDS.join(', ')}`),
+    query('processed')
+      .optional()
+      .isBoolean()
+      .withMessage('processed must be true or false')
+      .toBoolean(),
+    ...leadFilterValidation,
+    ...cursorPaginationValidation,
+  ],
+
+  getLead: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid lead ID format')
+  ],
+
+  updateLead: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid lead ID format'),
+    body()
+      .custom((value) => EDITABLE_LEAD_FIELDS.some((field) => value?.[field] !== undefined))
+      .withMessage(`Provide at least one of: ${EDITABLE_LEAD_FIELDS.join(', ')}`),
+    body(['name', 'role', 'industry'])
+      .optional()
+      .isString()
+      .withMessage('Must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Cannot be empty'),
+    body('email')
       .optional()
       .isString()
       .trim()
-      .isIn(['asc', 'desc'])
-      .withMessage('Order must be either asc or desc'),
-    query('minScore')
+      .isEmail()
+      .withMessage('Please enter a valid email'),
+    body(['company', 'linkedin', 'phone'])
       .optional()
-      .isInt({ min: 0, max: 100 })
-      .withMessage('Minimum score must be between 0 and 100')
-      .toInt(),
-    query('maxScore')
+      .isString()
+      .withMessage('Must be a string')
+      .trim(),
+  ],
+
+  getLeadHistory: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid lead ID format'),
+    query('page').optional().isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+
+  bulkLeads: [
+    body('action')
+      .isIn(BULK_ACTIONS)
+      .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body()
+      .custom((value) => Boolean(value?.ids) !== Boolean(value?.filter))
+      .withMessage('Provide either ids or filter'),
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: 10000 })
+      .withMessage('ids must be an array of 1 to 10000 lead IDs'),
+    body('ids.*')
+      .isMongoId()
+      .withMessage('Invalid lead ID format'),
+    body('filter')
+      .optional()
+      .isObject()
+      .withMessage('Filter must be an object')
+      // An empty filter would select every lead
+      .custom((filter) => ['search', 'industry', 'minScore', 'maxScore', 'processed', 'createdFrom', 'createdTo', 'tag', 'assignedTo']
+        .some((field) => filter[field] !== undefined && filter[field] !== ''))
+      .withMessage('Filter must set at least one criterion'),
+    body(['filter.search', 'filter.industry'])
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Filter text cannot be longer than 200 characters'),
+    body(['filter.minScore', 'filter.maxScore'])
       .optional()
       .isInt({ min: 0, max: 100 })
-      .withMessage('Maximum score must be between 0 and 100')
+      .withMessage('Score filters must be between 0 and 100')
       .toInt(),
-    query('industry')
+    body('filter.processed')
+      .optional()
+      .isBoolean()
+      .withMessage('processed must be true or false')
+      .toBoolean(),
+    body('filter.createdFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601, e.g. 2024-01-31')
+      .toDate(),
+    body('filter.createdTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Dates must be ISO 8601, e.g. 2024-01-31')
+      .customSanitizer((value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value))
+      .toDate(),
+    body(['filter.tag', 'filter.assignedTo'])
       .optional()
       .isString()
       .trim()
-      .escape(),
-    query('search')
+      .notEmpty()
+      .withMessage('Cannot be empty'),
+    body('params')
       .optional()
+      .isObject()
+      .withMessage('params must be an object'),
+    body('params.tags')
+      .if(body('action').equals('tag'))
+      .isArray({ min: 1, max: 50 })
+      .withMessage('The tag action needs params.tags, an array of 1 to 50 tags'),
+    body('params.tags.*')
       .isString()
       .trim()
-      .escape()
+      .toLowerCase()
+      .notEmpty()
+      .withMessage('Tags cannot be empty'),
+    body('params.mode')
+      .optional()
+      .isIn(['add', 'remove'])
+      .withMessage('Tag mode must be add or remove'),
+    body('params.assignee')
+      .if(body('action').equals('assign'))
+      .custom((assignee) => assignee === null || (typeof assignee === 'string' && assignee.trim() !== ''))
+      .withMessage('The assign action needs params.assignee, a name or null to unassign')
+      .customSanitizer((assignee) => (typeof assignee === 'string' ? assignee.trim() : assignee)),
+    body('params.offerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid Offer ID format'),
+    body(['dryRun', 'async'])
+      .optional()
+      .isBoolean()
+      .withMessage('Must be a boolean')
+      .toBoolean(),
   ],
 
-  getLead: [
+  getBulkOperation: [
     param('id')
       .isMongoId()
-      .withMessage('Invalid lead ID format')
+      .withMessage('Invalid bulk operation ID format')
   ],
 
   deleteLead: [
@@ -153,6 +581,72 @@ export const validationSchemas = {
       .isMongoId()
       .withMessage('Invalid lead ID format')
   ],
+
+  scanDuplicates: [
+    body('minConfidence')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('minConfidence must be between 0 and 1')
+      .toFloat(),
+  ],
+
+  getDuplicateScan: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid duplicate scan ID format')
+  ],
+
+  getDuplicates: [
+    query('page').optional().isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(DUPLICATE_STATUSES)
+      .withMessage(`Status must be one of: ${DUPLICATE_STATUSES.join(', ')}`),
+    query('minConfidence')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('minConfidence must be between 0 and 1')
+      .toFloat(),
+    query('leadId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid lead ID'),
+  ],
+
+  updateDuplicate: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid duplicate pair ID format'),
+    body('status')
+      .isIn(DUPLICATE_STATUSES)
+      .withMessage(`Status must be one of: ${DUPLICATE_STATUSES.join(', ')}`),
+  ],
+
+  mergeLeads: [
+    body('keep')
+      .isMongoId()
+      .withMessage('keep must be the ID of the lead to keep'),
+    body('merge')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('merge must be an array of 1 to 20 lead IDs'),
+    body('merge.*')
+      .isMongoId()
+      .withMessage('Invalid lead ID format')
+      .custom((id, { req }) => id !== req.body.keep)
+      .withMessage('A lead cannot be merged into itself'),
+    body('fields')
+      .optional()
+      .isObject()
+      .withMessage('fields must be an object of field to lead ID')
+      .custom((fields) => Object.keys(fields).every((field) => MERGE_FIELDS.includes(field)))
+      .withMessage(`fields can only choose: ${MERGE_FIELDS.join(', ')}`),
+    body('fields.*')
+      .isMongoId()
+      .withMessage('Each field must name the ID of the lead it is taken from'),
+  ],
   
   processScores: [
     body('offerId')
@@ -162,23 +656,408 @@ export const validationSchemas = {
       .withMessage('Invalid Offer ID format'),
     body('limit')
       .optional()
-      .isInt({ min: 1, max: 1000 })
-      .withMessage('Limit must be between 1 and 1000'),
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Limit must be between 1 and 10000'),
   ],
 
-  uploadLeads: [
-    body('file')
-      .custom((value, { req }) => {
-        if (!req.file) {
-          throw new Error('CSV file is required');
-        }
-        if (req.file.mimetype !== 'text/csv') {
-          throw new Error('Only CSV files are allowed');
-        }
-        return true;
-      }),
+  getScoringJob: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid job ID format')
   ],
-  
+
+  cancelScoringJob: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid job ID format')
+  ],
+
+  uploadLeadOptions: [
+    query('mode')
+      .optional()
+      .isIn(IMPORT_MODES)
+      .withMessage(`Mode must be one of: ${IMPORT_MODES.join(', ')}`),
+    query('merge')
+      .optional()
+      .isIn(MERGE_STRATEGIES)
+      .withMessage(`Merge strategy must be one of: ${MERGE_STRATEGIES.join(', ')}`),
+    ...uploadMappingValidation,
+  ],
+
+  previewLeadUpload: [
+    query('rows')
+      .optional()
+      .isInt({ min: 1, max: MAX_PREVIEW_ROWS })
+      .withMessage(`Rows must be between 1 and ${MAX_PREVIEW_ROWS}`)
+      .toInt(),
+    ...uploadMappingValidation,
+  ],
+
+  getApiKeys: [
+    query('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    query('workspace')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid workspace ID format'),
+    query('includeRevoked')
+      .optional()
+      .isBoolean()
+      .withMessage('includeRevoked must be true or false')
+      .toBoolean(),
+  ],
+
+  createApiKey: [
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Name must be between 3 and 100 characters'),
+    body('role')
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('workspace')
+      .optional()
+      .isString()
+      .withMessage('Workspace must be an ID or slug')
+      .trim()
+      .notEmpty()
+      .withMessage('Workspace must be an ID or slug'),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('expiresAt must be an ISO 8601 date')
+      .toDate()
+      .custom((expiresAt) => expiresAt > new Date())
+      .withMessage('expiresAt must be in the future'),
+  ],
+
+  createWorkspace: [
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('slug')
+      .isString()
+      .withMessage('Slug is required')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/)
+      .withMessage('Slug must be 3-50 lowercase letters, digits or dashes'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('phoneRegion')
+      .optional()
+      .custom(isPhoneRegion)
+      .withMessage('phoneRegion must be a two-letter country code')
+      .toUpperCase(),
+  ],
+
+  getWorkspace: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid workspace ID format')
+  ],
+
+  updateWorkspace: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid workspace ID format'),
+    body('slug')
+      .not()
+      .exists()
+      .withMessage('The slug of a workspace cannot change'),
+    body('name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('phoneRegion')
+      .optional()
+      .custom(isPhoneRegion)
+      .withMessage('phoneRegion must be a two-letter country code')
+      .toUpperCase(),
+  ],
+
+  getApiKey: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid API key ID format')
+  ],
+
+  revokeApiKey: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid API key ID format')
+  ],
+
+  createImportTemplate: [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Name must be between 3 and 100 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('mapping')
+      .custom(isColumnMapping)
+      .withMessage(columnMappingMessage),
+  ],
+
+  getImportTemplate: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import template ID format')
+  ],
+
+  updateImportTemplate: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import template ID format'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage('Name must be between 3 and 100 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('mapping')
+      .optional()
+      .custom(isColumnMapping)
+      .withMessage(columnMappingMessage),
+  ],
+
+  getImports: [
+    query('page').optional().isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(IMPORT_BATCH_STATUSES)
+      .withMessage(`Status must be one of: ${IMPORT_BATCH_STATUSES.join(', ')}`),
+  ],
+
+  getImport: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import ID format')
+  ],
+
+  rollbackImport: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import ID format')
+  ],
+
+  deleteImportTemplate: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import template ID format')
+  ],
+
+  createWebhook: [
+    webhookUrlValidation(),
+    webhookEventsValidation(),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+  ],
+
+  getWebhook: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format')
+  ],
+
+  updateWebhook: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format'),
+    webhookUrlValidation().optional(),
+    webhookEventsValidation().optional(),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+    body('rotateSecret')
+      .optional()
+      .isBoolean()
+      .withMessage('rotateSecret must be a boolean'),
+  ],
+
+  deleteWebhook: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format')
+  ],
+
+  getWebhookDeliveries: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format'),
+    query('page').optional().isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(DELIVERY_STATUSES)
+      .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+    query('event')
+      .optional()
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  ],
+
+  getWebhookDelivery: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format'),
+    param('deliveryId')
+      .isMongoId()
+      .withMessage('Invalid delivery ID format'),
+  ],
+
+  replayWebhookDelivery: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid webhook ID format'),
+    param('deliveryId')
+      .isMongoId()
+      .withMessage('Invalid delivery ID format'),
+  ],
+
+  createCrmConnection: [
+    body('name')
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('adapter')
+      .isIn(CRM_ADAPTERS)
+      .withMessage(`Adapter must be one of: ${CRM_ADAPTERS.join(', ')}`),
+    ...crmConnectionValidation(),
+    // Salesforce has no shared API host, so its instance URL is required
+    body('settings.base_url')
+      .if(body('adapter').equals('salesforce'))
+      .exists()
+      .withMessage('settings.base_url (the instance URL) is required for Salesforce'),
+  ],
+
+  getCrmConnection: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format')
+  ],
+
+  updateCrmConnection: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format'),
+    body('name')
+      .optional()
+      .isString()
+      .withMessage('Name must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('adapter')
+      .not()
+      .exists()
+      .withMessage('Adapter cannot be changed; create a new connection'),
+    ...crmConnectionValidation(),
+  ],
+
+  deleteCrmConnection: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format')
+  ],
+
+  syncCrmConnection: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format'),
+    body('offerId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid offer ID'),
+    body('mode')
+      .optional()
+      .isIn(CRM_SYNC_MODES)
+      .withMessage(`Mode must be one of: ${CRM_SYNC_MODES.join(', ')}`),
+    body('leadIds')
+      .optional()
+      .isArray({ min: 1, max: 10000 })
+      .withMessage('leadIds must be an array of 1 to 10000 lead IDs'),
+    body('leadIds.*')
+      .isMongoId()
+      .withMessage('leadIds must contain valid lead IDs'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Limit must be between 1 and 10000')
+      .toInt(),
+  ],
+
+  retryCrmSyncs: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format')
+  ],
+
+  getCrmSyncs: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM connection ID format'),
+    query('page').optional().isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(CRM_SYNC_STATUSES)
+      .withMessage(`Status must be one of: ${CRM_SYNC_STATUSES.join(', ')}`),
+    query('leadId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid lead ID'),
+  ],
+
+  getCrmSyncJob: [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid CRM sync job ID format')
+  ],
+
   scoreLeads: [
     param('offerId').isMongoId().withMessage('Invalid offer ID'),
   ],
@@ -190,6 +1069,54 @@ export const validationSchemas = {
       .withMessage('Page must be a positive integer'),
     query('sort').optional().isIn(['score', '-score', 'createdAt', '-createdAt'])
       .withMessage('Invalid sort parameter'),
+    query('sortBy').optional().isIn([...RESULT_SORT_FIELDS, 'relevance'])
+      .withMessage(`Sort field must be one of: ${RESULT_SORT_FIELDS.join(', ')}, relevance`),
+    query('offerId').optional().isMongoId()
+      .withMessage('Invalid Offer ID format'),
+    query('stale').optional().isBoolean()
+      .withMessage('stale must be true or false')
+      .toBoolean(),
+    query('status').optional().isIn(SCORE_STATUSES)
+      .withMessage(`Status must be one of: ${SCORE_STATUSES.join(', ')}`),
+    ...leadFilterValidation,
+    ...cursorPaginationValidation,
+  ],
+
+  exportResults: [
+    query('format').optional().isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('columns').optional()
+      .customSanitizer((columns) => String(columns).split(',').map((column) => column.trim()).filter(Boolean))
+      .custom((columns) => columns.length > 0 && columns.every((column) => EXPORT_COLUMNS[column]))
+      .withMessage(`Columns must be a comma-separated list of: ${Object.keys(EXPORT_COLUMNS).join(', ')}`),
+    query('sort').optional().isIn(['score', '-score', 'createdAt', '-createdAt'])
+      .withMessage('Invalid sort parameter'),
+    query('sortBy').optional().isIn([...RESULT_SORT_FIELDS, 'relevance'])
+      .withMessage(`Sort field must be one of: ${RESULT_SORT_FIELDS.join(', ')}, relevance`),
+    query('offerId').optional().isMongoId()
+      .withMessage('Invalid Offer ID format'),
+    query('stale').optional().isBoolean()
+      .withMessage('stale must be true or false')
+      .toBoolean(),
+    query('status').optional().isIn(SCORE_STATUSES)
+      .withMessage(`Status must be one of: ${SCORE_STATUSES.join(', ')}`),
+    ...leadFilterValidation,
+  ],
+
+  purgeCache: [
+    query('offerId').optional().isMongoId()
+      .withMessage('Invalid Offer ID format'),
+    query('promptVersion').optional().isString().trim(),
+  ],
+
+  deleteCacheEntry: [
+    param('key').isHash('sha256')
+      .withMessage('Invalid cache key'),
+  ],
+
+  getScoringSummary: [
+    query('offerId').optional().isMongoId()
+      .withMessage('Invalid Offer ID format'),
   ],
 };
 
@@ -0,0 +1,83 @@
+import Workspace from '../models/Workspace.js';
+import { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } from './errorHandler.js';
+
+/**
+ * Limit a query to what the caller can see: everything for agency-wide credentials,
+ * otherwise the caller's own workspace
+ * @param {Object} req - Express request, after authenticate
+ * @param {string} [field=workspace] - Field holding the workspace id
+ * @returns {Object} - MongoDB filter
+ */
+export const callerWorkspaceScope = (req, field = 'workspace') =>
+  (req.auth?.workspace ? { [field]: req.auth.workspace } : {});
+
+/**
+ * Check whether a workspace is the one an id or slug refers to
+ * @param {Object} workspace - Workspace document
+ * @param {string} ref - Id or slug
+ * @returns {boolean}
+ */
+export const isWorkspace = (workspace, ref) =>
+  String(workspace._id) === String(ref) || workspace.slug === String(ref).toLowerCase();
+
+/**
+ * Check whether the caller may act on every workspace rather than a single one
+ * @param {Object} req - Express request, after authenticate
+ * @returns {boolean}
+ */
+export const isAgencyWide = (req) => Boolean(req.auth) && !req.auth.workspace;
+
+/**
+ * Reject credentials bound to a single workspace
+ * @param {Object} req - Express request, after authenticate
+ * @throws {ForbiddenError}
+ */
+export const assertAgencyWide = (req) => {
+  if (!isAgencyWide(req)) {
+    throw new ForbiddenError('Only agency-wide credentials can do this');
+  }
+};
+
+/**
+ * Set `req.workspace` to the workspace the request acts on. Credentials bound to a workspace
+ * always use it; agency-wide credentials choose one with the `X-Workspace` header (id or slug).
+ * @param {Object} req - Express request, after authenticate
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export const resolveWorkspace = async (req, res, next) => {
+  try {
+    const bound = req.auth?.workspace;
+    const requested = req.get('X-Workspace')?.trim();
+    const ref = bound || requested;
+
+    if (!ref) {
+      throw new BadRequestError('Choose a workspace with the X-Workspace header');
+    }
+
+    const workspace = await Workspace.findByIdOrSlug(ref);
+
+    if (!workspace) {
+      throw bound
+        ? new UnauthorizedError('The workspace of this credential no longer exists')
+        : new NotFoundError(`Workspace not found: ${ref}`);
+    }
+
+    if (bound && requested && !isWorkspace(workspace, requested)) {
+      throw new ForbiddenError(`This credential can only access workspace ${workspace.slug}`);
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  callerWorkspaceScope,
+  isWorkspace,
+  isAgencyWide,
+  assertAgencyWide,
+  resolveWorkspace,
+};
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { AI_INTENTS, AI_REASON_ATTRIBUTES } from '../services/ai/scoreSchema.js';
+
+const aiReasonSchema = new mongoose.Schema(
+  {
+    attribute: {
+      type: String,
+      enum: AI_REASON_ATTRIBUTES,
+    },
+    detail: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Cached AI verdict for a lead/offer fingerprint
+const aiCacheEntrySchema = new mongoose.Schema(
+  {
+    // Hash of the prompt inputs, prompt version, provider and model
+    key: {
+      type: String,
+      required: [true, 'Cache key is required'],
+    },
+    prompt_version: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    // Verdicts are never shared between workspaces; the key includes the workspace too
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+    },
+    // Kept for purging by offer; the key itself does not depend on the offer id
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+    },
+    verdict: {
+      intent: {
+        type: String,
+        enum: AI_INTENTS,
+      },
+      score: Number,
+      confidence: Number,
+      reasons: [aiReasonSchema],
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+aiCacheEntrySchema.index({ key: 1 }, { unique: true });
+aiCacheEntrySchema.index({ offer: 1 });
+aiCacheEntrySchema.index({ workspace: 1, prompt_version: 1 });
+// MongoDB removes entries once expires_at has passed
+aiCacheEntrySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const AICacheEntry = mongoose.model('AICacheEntry', aiCacheEntrySchema);
+
+export default AICacheEntry;
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import authConfig, { ROLES } from '../config/auth.js';
+
+/**
+ * Hash an API key for storage and lookup; keys are random, so a plain SHA-256 is enough
+ * @param {string} key - Plain API key
+ * @returns {string} - Hex digest
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate a new API key
+ * @returns {string} - Plain key, shown to the caller once
+ */
+export const generateApiKey = () => `${authConfig.apiKeyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: [true, 'Role is required'],
+    },
+    // Workspace the key is limited to; null for agency-wide keys, which pick one per request
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
+    // Start of the key, so it can be recognised in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+    key_hash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    created_by: {
+      type: String,
+      trim: true,
+    },
+    expires_at: Date,
+    last_used_at: Date,
+    revoked_at: Date,
+    revoked_by: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      // Never send the hash, even from a document that was just created
+      transform: (doc, ret) => {
+        delete ret.key_hash;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+apiKeySchema.index({ key_hash: 1 }, { unique: true });
+apiKeySchema.index({ createdAt: -1 });
+
+// Virtual for whether the key is still accepted
+apiKeySchema.virtual('active').get(function () {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+});
+
+// Static method to find the unrevoked, unexpired key matching a plain key
+apiKeySchema.statics.findActiveByKey = async function (key) {
+  return this.findOne({
+    key_hash: hashApiKey(key),
+    revoked_at: null,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }],
+  });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+export const BULK_ACTIONS = ['delete', 'reset-score', 'tag', 'assign', 'mark-for-rescore', 'enrich'];
+
+export const BULK_OPERATION_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A bulk action over leads picked by id or by the lead search filter
+const bulkOperationSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    action: {
+      type: String,
+      enum: BULK_ACTIONS,
+      required: [true, 'Action is required'],
+    },
+    // Action arguments: tags and tag_mode, assignee, or the offer whose scores are affected
+    params: {
+      tags: {
+        type: [String],
+        default: undefined,
+      },
+      tag_mode: {
+        type: String,
+        enum: ['add', 'remove'],
+      },
+      assignee: String,
+      offer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Offer',
+      },
+    },
+    // Either explicit lead ids or a lead search filter (as accepted by GET /api/leads)
+    target: {
+      ids: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }],
+        default: undefined,
+      },
+      filter: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined,
+      },
+    },
+    status: {
+      type: String,
+      enum: BULK_OPERATION_STATUSES,
+      default: 'queued',
+    },
+    // Leads matching the target when the operation was requested
+    matched: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    // Leads deleted or changed, or scores removed or marked stale, depending on the action
+    affected: {
+      type: Number,
+      default: 0,
+    },
+    actor: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    started_at: Date,
+    completed_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+bulkOperationSchema.index({ status: 1, createdAt: 1 });
+bulkOperationSchema.index({ workspace: 1, createdAt: -1 });
+
+// Virtual for completion percentage
+bulkOperationSchema.virtual('progress').get(function () {
+  if (!this.matched) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.min(100, Math.round((this.processed / this.matched) * 100));
+});
+
+const BulkOperation = mongoose.model('BulkOperation', bulkOperationSchema);
+
+export default BulkOperation;
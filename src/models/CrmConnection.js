@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { CRM_ADAPTERS } from '../services/crm/index.js';
+import { CRM_SOURCE_FIELDS } from '../services/crm/fields.js';
+
+export const CRM_SOURCE_FIELD_NAMES = Object.keys(CRM_SOURCE_FIELDS);
+
+// Where and how an adapter reaches the CRM; unused fields are ignored by the other adapters
+const connectionSettingsSchema = new mongoose.Schema(
+  {
+    // HubSpot API base, Salesforce instance URL, or the mock adapter's endpoint
+    base_url: {
+      type: String,
+      trim: true,
+    },
+    // Salesforce only
+    object: {
+      type: String,
+      trim: true,
+    },
+    external_id_field: {
+      type: String,
+      trim: true,
+    },
+    api_version: {
+      type: String,
+      trim: true,
+    },
+    // Mock adapter only: NDJSON file name inside CRM_MOCK_DIR
+    file: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// A workspace's link to a CRM that scored leads are pushed to
+const crmConnectionSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+    adapter: {
+      type: String,
+      enum: CRM_ADAPTERS,
+      required: [true, 'Adapter is required'],
+    },
+    settings: {
+      type: connectionSettingsSchema,
+      default: () => ({}),
+    },
+    // CRM API token; never returned by the API
+    access_token: {
+      type: String,
+      select: false,
+    },
+    // CRM field -> source field
+    field_mapping: {
+      type: Map,
+      of: String,
+      required: [true, 'Field mapping is required'],
+      validate: {
+        validator: (mapping) =>
+          mapping.size > 0 && [...mapping.values()].every((field) => CRM_SOURCE_FIELD_NAMES.includes(field)),
+        message: `Field mapping values must be source fields: ${CRM_SOURCE_FIELD_NAMES.join(', ')}`,
+      },
+    },
+    // Only scores at or above this are pushed
+    min_score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    // Queue a sync of the offer's new scores whenever a scoring job completes
+    auto_sync: {
+      type: Boolean,
+      default: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: {
+      type: String,
+      trim: true,
+    },
+    last_sync_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.access_token;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+crmConnectionSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+const CrmConnection = mongoose.model('CrmConnection', crmConnectionSchema);
+
+export default CrmConnection;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// retrying: the last push hit a transient error and is retried in the background
+export const CRM_SYNC_STATUSES = ['synced', 'retrying', 'failed'];
+
+// Sync state of one lead in one CRM connection
+const crmSyncSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CrmConnection',
+      required: true,
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+    },
+    // Offer whose score was last pushed
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: CRM_SYNC_STATUSES,
+      required: true,
+    },
+    // Record id in the CRM, once known
+    external_id: {
+      type: String,
+      trim: true,
+    },
+    score: Number,
+    // processed_at of the pushed score; a newer score makes the lead due again
+    score_processed_at: Date,
+    // Pushes of this lead, including retries by later jobs
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    last_error: {
+      type: String,
+      trim: true,
+    },
+    last_attempt_at: Date,
+    // Background retries of the current push, and when the next one runs
+    retries: {
+      type: Number,
+      default: 0,
+    },
+    next_attempt_at: Date,
+    synced_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+crmSyncSchema.index({ connection: 1, lead: 1 }, { unique: true });
+crmSyncSchema.index({ connection: 1, status: 1 });
+crmSyncSchema.index({ lead: 1 });
+crmSyncSchema.index({ status: 1, next_attempt_at: 1 });
+
+const CrmSync = mongoose.model('CrmSync', crmSyncSchema);
+
+export default CrmSync;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+// pending: leads never pushed, whose last push failed, or scored since it;
+// all: every matching score; failed: only leads whose last push failed
+export const CRM_SYNC_MODES = ['pending', 'all', 'failed'];
+
+export const CRM_SYNC_JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// Keep only the most recent failures on the job document
+export const MAX_CRM_SYNC_FAILURES = 100;
+
+const syncFailureSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A push of scored leads to one CRM connection
+const crmSyncJobSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    connection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CrmConnection',
+      required: true,
+    },
+    // Offer whose scores are pushed; failed mode may retry every offer
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+    },
+    mode: {
+      type: String,
+      enum: CRM_SYNC_MODES,
+      default: 'pending',
+    },
+    lead_ids: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }],
+      default: undefined,
+    },
+    limit: {
+      type: Number,
+      min: 1,
+      default: 500,
+    },
+    status: {
+      type: String,
+      enum: CRM_SYNC_JOB_STATUSES,
+      default: 'queued',
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    synced: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // Leads left to background retries after a transient error
+    retrying: {
+      type: Number,
+      default: 0,
+    },
+    failures: {
+      type: [syncFailureSchema],
+      default: [],
+    },
+    // Who asked for the sync, or auto-sync
+    actor: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    started_at: Date,
+    completed_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+crmSyncJobSchema.index({ status: 1, createdAt: 1 });
+crmSyncJobSchema.index({ workspace: 1, connection: 1, createdAt: -1 });
+
+// Virtual for completion percentage
+crmSyncJobSchema.virtual('progress').get(function () {
+  if (!this.total) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round(((this.synced + this.failed + this.retrying) / this.total) * 100);
+});
+
+const CrmSyncJob = mongoose.model('CrmSyncJob', crmSyncJobSchema);
+
+export default CrmSyncJob;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const DUPLICATE_SCAN_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A search of a workspace's leads for likely duplicates
+const duplicateScanSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    status: {
+      type: String,
+      enum: DUPLICATE_SCAN_STATUSES,
+      default: 'queued',
+    },
+    // Pairs below this confidence are not reported
+    min_confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    // Leads in the workspace when the scan started
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    pairs_found: {
+      type: Number,
+      default: 0,
+    },
+    actor: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    started_at: Date,
+    completed_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+duplicateScanSchema.index({ status: 1, createdAt: 1 });
+duplicateScanSchema.index({ workspace: 1, createdAt: -1 });
+
+// Virtual for completion percentage
+duplicateScanSchema.virtual('progress').get(function () {
+  if (!this.total) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.min(100, Math.round((this.processed / this.total) * 100));
+});
+
+const DuplicateScan = mongoose.model('DuplicateScan', duplicateScanSchema);
+
+export default DuplicateScan;
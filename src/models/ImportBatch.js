@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { IMPORT_MODES, MERGE_STRATEGIES } from '../services/leadImport.service.js';
+import { IMPORT_FORMATS } from '../services/recordReader.service.js';
+
+export const IMPORT_BATCH_STATUSES = ['processing', 'completed', 'failed', 'rolled_back'];
+
+// Rejected rows shown on a batch; the full list is in ImportRejection
+export const REJECTION_PREVIEW_LIMIT = 100;
+
+const importCountsSchema = new mongoose.Schema(
+  {
+    total_rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    // Rows with a name, phone or LinkedIn URL rewritten by normalization
+    normalized: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// One upload to /api/leads/upload; leads it created carry its id in `import_batch`
+const importBatchSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    file_name: {
+      type: String,
+      trim: true,
+      required: [true, 'File name is required'],
+    },
+    format: {
+      type: String,
+      enum: IMPORT_FORMATS,
+      default: 'csv',
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    uploaded_by: {
+      type: String,
+      trim: true,
+      default: 'anonymous',
+    },
+    mode: {
+      type: String,
+      enum: IMPORT_MODES,
+      default: 'insert',
+    },
+    merge: {
+      type: String,
+      enum: MERGE_STRATEGIES,
+    },
+    // Headers of the file, used as the columns of the rejected-rows download
+    headers: {
+      type: [String],
+      default: [],
+    },
+    // Lead field -> file header actually used
+    mapping: {
+      type: Map,
+      of: String,
+    },
+    status: {
+      type: String,
+      enum: IMPORT_BATCH_STATUSES,
+      default: 'processing',
+    },
+    counts: {
+      type: importCountsSchema,
+      default: () => ({}),
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    completed_at: Date,
+    rolled_back_at: Date,
+    rolled_back_by: {
+      type: String,
+      trim: true,
+    },
+    // Leads removed by the rollback
+    rolled_back_leads: Number,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+importBatchSchema.index({ workspace: 1, createdAt: -1 });
+importBatchSchema.index({ workspace: 1, status: 1, createdAt: -1 });
+
+// Static method to fail imports left processing by a previous process; uploads run within their
+// request, so nothing else will finish them, and a failed import can be rolled back
+importBatchSchema.statics.failInterrupted = async function () {
+  const { modifiedCount } = await this.updateMany(
+    { status: 'processing' },
+    { $set: { status: 'failed', error: 'Import was interrupted by a server restart', completed_at: new Date() } }
+  );
+  return modifiedCount;
+};
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
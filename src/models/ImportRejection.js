@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A row an import rejected, kept as uploaded so it can be fixed and re-uploaded
+const importRejectionSchema = new mongoose.Schema(
+  {
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      required: true,
+    },
+    row: {
+      type: Number,
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    // Original record keyed by file header, or the raw value when it could not be read
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+importRejectionSchema.index({ batch: 1, row: 1 });
+
+const ImportRejection = mongoose.model('ImportRejection', importRejectionSchema);
+
+export default ImportRejection;
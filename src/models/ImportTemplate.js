@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { LEAD_IMPORT_FIELDS } from '../services/columnMapping.service.js';
+
+// Saved column mapping, reused across uploads
+const importTemplateSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      minlength: [3, 'Name must be at least 3 characters long'],
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Lead field -> file header
+    mapping: {
+      type: Map,
+      of: String,
+      required: [true, 'Mapping is required'],
+      validate: {
+        validator: (mapping) => [...mapping.keys()].every((field) => LEAD_IMPORT_FIELDS.includes(field)),
+        message: `Mapping keys must be lead fields: ${LEAD_IMPORT_FIELDS.join(', ')}`,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+importTemplateSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+// Static method to find a workspace's template by id or name
+importTemplateSchema.statics.findByIdOrName = async function (idOrName, workspace) {
+  const filter = mongoose.isValidObjectId(idOrName)
+    ? { $or: [{ _id: idOrName }, { name: idOrName }] }
+    : { name: idOrName };
+  return this.findOne({ ...filter, workspace });
+};
+
+const ImportTemplate = mongoose.model('ImportTemplate', importTemplateSchema);
+
+export default ImportTemplate;
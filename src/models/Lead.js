@@ -1,7 +1,59 @@
 import mongoose from 'mongoose';
 
+// Contact fields that can be edited through PATCH /api/leads/:id
+export const EDITABLE_LEAD_FIELDS = ['name', 'email', 'role', 'industry', 'company', 'linkedin', 'phone'];
+
+// Derived from the email domain and the firmographics dataset; never edited directly
+const leadEnrichmentSchema = new mongoose.Schema(
+  {
+    domain: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    // Consumer mailbox such as gmail.com; a negative signal in rule scoring
+    free_mail: {
+      type: Boolean,
+      default: false,
+    },
+    // From the dataset, else guessed from the domain; empty for free-mail addresses
+    company_name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    company_size: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    country: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    sector: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Firmographics source that matched, or domain when only the domain was used
+    source: {
+      type: String,
+      trim: true,
+    },
+    enriched_at: Date,
+  },
+  { _id: false }
+);
+
 const leadSchema = new mongoose.Schema(
   {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
     name: {
       type: String,
       required: [true, 'Name is required'],
@@ -54,6 +106,34 @@ const leadSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    processed_at: {
+      type: Date,
+    },
+    // Offer of the most recent score; per-offer scores live in LeadScore
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+    },
+    // Free-form labels set by bulk actions
+    tags: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+    // Rep or team the lead is assigned to
+    assigned_to: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    enrichment: {
+      type: leadEnrichmentSchema,
+      default: undefined,
+    },
+    // Upload that created the lead; rolling the import back removes it
+    import_batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+    },
   },
   {
     timestamps: true,
@@ -63,16 +143,29 @@ const leadSchema = new mongoose.Schema(
 );
 
 // Indexes for better query performance
-leadSchema.index({ email: 1 }, { unique: true });
+// The same contact may exist once in each workspace
+leadSchema.index({ workspace: 1, email: 1 }, { unique: true });
+leadSchema.index({ workspace: 1, createdAt: -1 });
 leadSchema.index({ role: 1 });
 leadSchema.index({ industry: 1 });
 leadSchema.index({ score: -1 });
 leadSchema.index({ is_processed: 1 });
+leadSchema.index({ import_batch: 1 }, { sparse: true });
+leadSchema.index({ createdAt: -1 });
+leadSchema.index({ tags: 1 });
+leadSchema.index({ assigned_to: 1 });
+// Full-text search for GET /api/leads?search=
+leadSchema.index(
+  { name: 'text', company: 'text', role: 'text', email: 'text' },
+  { name: 'lead_text_search', weights: { name: 5, company: 3, role: 2, email: 1 } }
+);
 
-// Pre-save hook to ensure email is unique
+// Pre-save hook to ensure email is unique; reads in the save's session, so a lead deleted
+// earlier in the same transaction no longer counts
 leadSchema.pre('save', async function (next) {
   if (this.isModified('email')) {
-    const existingLead = await this.constructor.findOne({ email: this.email });
+    const existingLead = await this.constructor.findOne({ workspace: this.workspace, email: this.email })
+      .session(this.$session());
     if (existingLead && !existingLead._id.equals(this._id)) {
       this.invalidate('email', 'Email already exists');
     }
@@ -80,9 +173,10 @@ leadSchema.pre('save', async function (next) {
   next();
 });
 
-// Static method to get leads by score range
-leadSchema.statics.findByScoreRange = async function (min, max, limit = 100) {
+// Static method to get a workspace's leads by score range
+leadSchema.statics.findByScoreRange = async function (workspace, min, max, limit = 100) {
   return this.find({
+    workspace,
     score: { $gte: min, $lte: max },
     is_processed: true,
   })
@@ -91,22 +185,58 @@ leadSchema.statics.findByScoreRange = async function (min, max, limit = 100) {
     .lean();
 };
 
-// Static method to get unprocessed leads
-leadSchema.statics.getUnprocessedLeads = async function (limit = 100) {
-  return this.find({ is_processed: false })
+// Static method to get a workspace's unprocessed leads
+leadSchema.statics.getUnprocessedLeads = async function (workspace, limit = 100) {
+  return this.find({ workspace, is_processed: false })
     .sort({ createdAt: 1 })
     .limit(limit)
     .lean();
 };
 
-// Static method to get leads by industry
-leadSchema.statics.getLeadsByIndustry = async function (industry, limit = 100) {
-  return this.find({ industry, is_processed: true })
+// Static method to get a workspace's leads by industry
+leadSchema.statics.getLeadsByIndustry = async function (workspace, industry, limit = 100) {
+  return this.find({ workspace, industry, is_processed: true })
     .sort({ score: -1 })
     .limit(limit)
     .lean();
 };
 
+// Static method to get the offer's workspace leads that have no usable score for it yet
+leadSchema.statics.getUnscoredLeads = async function (offer, limit = 100) {
+  const leadScores = mongoose.model('LeadScore').collection.name;
+
+  return this.aggregate([
+    { $match: { workspace: offer.workspace } },
+    { $sort: { createdAt: 1 } },
+    {
+      $lookup: {
+        from: leadScores,
+        let: { leadId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$lead', '$$leadId'] },
+                  { $eq: ['$offer', offer._id] },
+                  // A failed AI call leaves the lead eligible for the next run
+                  { $ne: ['$status', 'ai_failed'] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: 'existingScores',
+      },
+    },
+    { $match: { existingScores: { $size: 0 } } },
+    { $limit: limit },
+    { $project: { existingScores: 0 } },
+  ]);
+};
+
 const Lead = mongoose.model('Lead', leadSchema);
 
 export default Lead;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// open: waiting for review; dismissed: reviewed as different people, kept out of later scans
+export const DUPLICATE_STATUSES = ['open', 'dismissed'];
+
+// What made two leads look alike
+export const DUPLICATE_SIGNALS = ['name', 'domain', 'company', 'linkedin', 'phone'];
+
+const duplicateSignalSchema = new mongoose.Schema(
+  {
+    signal: {
+      type: String,
+      enum: DUPLICATE_SIGNALS,
+    },
+    // Similarity of the two values, 0-1
+    score: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    detail: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// A pair of leads that are likely the same person; lead_a holds the lower id
+const leadDuplicateSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    lead_a: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+    },
+    lead_b: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      required: true,
+    },
+    signals: {
+      type: [duplicateSignalSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: DUPLICATE_STATUSES,
+      default: 'open',
+    },
+    // Scan that last found the pair
+    scan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DuplicateScan',
+    },
+    reviewed_by: {
+      type: String,
+      trim: true,
+    },
+    reviewed_at: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+leadDuplicateSchema.index({ workspace: 1, lead_a: 1, lead_b: 1 }, { unique: true });
+leadDuplicateSchema.index({ workspace: 1, status: 1, confidence: -1 });
+leadDuplicateSchema.index({ lead_b: 1 });
+
+// Static method to remove the pairs of leads that are being deleted
+leadDuplicateSchema.statics.deleteForLeads = function (ids, options) {
+  return this.deleteMany({ $or: [{ lead_a: { $in: ids } }, { lead_b: { $in: ids } }] }, options);
+};
+
+const LeadDuplicate = mongoose.model('LeadDuplicate', leadDuplicateSchema);
+
+export default LeadDuplicate;
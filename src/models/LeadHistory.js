@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// What made a change: a PATCH, an upsert import, a bulk action or a merge
+export const LEAD_HISTORY_SOURCES = ['edit', 'import', 'bulk', 'merge'];
+
+// One changed field of a lead
+const leadHistorySchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: true,
+    },
+    field: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    old_value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    new_value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    actor: {
+      type: String,
+      trim: true,
+      default: 'anonymous',
+    },
+    source: {
+      type: String,
+      enum: LEAD_HISTORY_SOURCES,
+      default: 'edit',
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+leadHistorySchema.index({ lead: 1, changed_at: -1 });
+
+const LeadHistory = mongoose.model('LeadHistory', leadHistorySchema);
+
+export default LeadHistory;
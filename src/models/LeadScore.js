@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { AI_INTENTS, AI_REASON_ATTRIBUTES } from '../services/ai/scoreSchema.js';
+
+// scored: rules + AI verdict; ai_fallback: the model never returned a valid verdict,
+// so the AI part was derived from the rule score; ai_failed: the provider could not
+// be reached, no score was computed and the lead stays eligible for scoring
+export const SCORE_STATUSES = ['scored', 'ai_fallback', 'ai_failed'];
+
+// Filter matching records that carry a usable score
+export const HAS_SCORE = { status: { $ne: 'ai_failed' } };
+
+// Scores from here up count as high intent, and from MEDIUM_INTENT_SCORE up as medium intent
+export const HIGH_INTENT_SCORE = 70;
+export const MEDIUM_INTENT_SCORE = 40;
+
+/**
+ * Intent band of a final score, as reported by the scoring summary
+ * @param {number|null} score - Final score
+ * @returns {string|null} - High, Medium or Low; null without a score
+ */
+export const getIntentBand = (score) => {
+  if (score === null || score === undefined) {
+    return null;
+  }
+  if (score >= HIGH_INTENT_SCORE) {
+    return 'High';
+  }
+  return score >= MEDIUM_INTENT_SCORE ? 'Medium' : 'Low';
+};
+
+const aiReasonSchema = new mongoose.Schema(
+  {
+    attribute: {
+      type: String,
+      enum: AI_REASON_ATTRIBUTES,
+    },
+    detail: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Score of one lead against one offer
+const leadScoreSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+      required: [true, 'Lead is required'],
+    },
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+      required: [true, 'Offer is required'],
+    },
+    status: {
+      type: String,
+      enum: SCORE_STATUSES,
+      default: 'scored',
+    },
+    // null while status is ai_failed
+    score: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    rule_score: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    score_reason: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    ai_intent: {
+      type: String,
+      enum: [...AI_INTENTS, null],
+      default: null,
+    },
+    ai_score: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    ai_confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    ai_reasons: {
+      type: [aiReasonSchema],
+      default: undefined,
+    },
+    ai_provider: {
+      type: String,
+      trim: true,
+    },
+    ai_model: {
+      type: String,
+      trim: true,
+    },
+    ai_error: {
+      type: String,
+      trim: true,
+    },
+    // Verdict reused from the AI cache rather than a new model call
+    ai_cached: {
+      type: Boolean,
+      default: false,
+    },
+    // Offer revision this score was computed from
+    offer_revision: {
+      type: Number,
+      default: 1,
+    },
+    // Set when the offer or lead changed after scoring
+    stale: {
+      type: Boolean,
+      default: false,
+    },
+    processed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+leadScoreSchema.index({ lead: 1, offer: 1 }, { unique: true });
+leadScoreSchema.index({ workspace: 1, processed_at: -1 });
+leadScoreSchema.index({ offer: 1, score: -1 });
+leadScoreSchema.index({ offer: 1, stale: 1 });
+leadScoreSchema.index({ offer: 1, status: 1 });
+leadScoreSchema.index({ score: -1 });
+leadScoreSchema.index({ processed_at: -1 });
+
+const LeadScore = mongoose.model('LeadScore', leadScoreSchema);
+
+export default LeadScore;
@@ -1,7 +1,78 @@
 import mongoose from 'mongoose';
 
+// Offer fields that feed into scoring; changing any of them makes existing scores stale
+export const SCORING_FIELDS = ['value_props', 'ideal_use_cases', 'scoring_rules'];
+
+// Lead fields that may be used for the completeness rule
+export const COMPLETENESS_FIELDS = ['name', 'email', 'role', 'company', 'industry', 'linkedin', 'phone'];
+
+const roleTierSchema = new mongoose.Schema(
+  {
+    label: {
+      type: String,
+      required: [true, 'Role tier label is required'],
+      trim: true,
+    },
+    keywords: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: [(v) => v.length > 0, 'Role tier needs at least one keyword'],
+    },
+    points: {
+      type: Number,
+      required: [true, 'Role tier points are required'],
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+// Per-offer scoring rules; any section left out falls back to the default rules
+const scoringRulesSchema = new mongoose.Schema(
+  {
+    role_tiers: {
+      type: [roleTierSchema],
+      default: undefined,
+    },
+    industry: {
+      match_keywords: {
+        type: [{ type: String, trim: true, lowercase: true }],
+        default: undefined,
+      },
+      exact_points: { type: Number, min: 0, max: 100 },
+      adjacent_keywords: {
+        type: [{ type: String, trim: true, lowercase: true }],
+        default: undefined,
+      },
+      adjacent_points: { type: Number, min: 0, max: 100 },
+    },
+    completeness: {
+      fields: {
+        type: [{ type: String, enum: COMPLETENESS_FIELDS }],
+        default: undefined,
+      },
+      complete_points: { type: Number, min: 0, max: 100 },
+      partial_points: { type: Number, min: 0, max: 100 },
+    },
+    enrichment: {
+      free_mail_penalty: { type: Number, min: 0, max: 100 },
+    },
+    max_score: {
+      type: Number,
+      min: 1,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
 const offerSchema = new mongoose.Schema(
   {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
     name: {
       type: String,
       required: [true, 'Name is required'],
@@ -23,6 +94,16 @@ const offerSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    scoring_rules: {
+      type: scoringRulesSchema,
+      default: null,
+    },
+    // Bumped whenever a field that affects scoring changes
+    revision: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
   },
   {
     timestamps: true,
@@ -33,6 +114,7 @@ const offerSchema = new mongoose.Schema(
 
 // Indexes
 offerSchema.index({ name: 'text' });
+offerSchema.index({ workspace: 1, createdAt: -1 });
 
 // Pre-save hook to ensure at least one value prop and use case
 offerSchema.pre('save', function (next) {
@@ -45,17 +127,17 @@ offerSchema.pre('save', function (next) {
   next();
 });
 
-// Virtual for lead count
+// Virtual for the number of leads scored against this offer
 offerSchema.virtual('leadCount', {
-  ref: 'Lead',
+  ref: 'LeadScore',
   localField: '_id',
   foreignField: 'offer',
   count: true,
 });
 
-// Static method to check if offer exists
-offerSchema.statics.offerExists = async function (offerId) {
-  const count = await this.countDocuments({ _id: offerId });
+// Static method to check if an offer exists in a workspace
+offerSchema.statics.offerExists = async function (offerId, workspace) {
+  const count = await this.countDocuments({ _id: offerId, workspace });
   return count > 0;
 };
 
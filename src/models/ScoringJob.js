@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+export const JOB_TYPES = ['score', 'rescore'];
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Jobs that have not reached a final state
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Keep only the most recent failures on the job document
+export const MAX_JOB_FAILURES = 100;
+
+const jobFailureSchema = new mongoose.Schema(
+  {
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead',
+    },
+    // ai_failed, or error for an unexpected exception
+    status: {
+      type: String,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Selects which existing scores a rescore job recomputes
+const rescoreFilterSchema = new mongoose.Schema(
+  {
+    stale_only: {
+      type: Boolean,
+      default: true,
+    },
+    lead_ids: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }],
+      default: undefined,
+    },
+    min_score: Number,
+    max_score: Number,
+    industry: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const scoringJobSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    // score: leads with no score for the offer; rescore: leads with an existing score
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      default: 'score',
+    },
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer',
+      required: [true, 'Offer is required'],
+    },
+    filter: {
+      type: rescoreFilterSchema,
+      default: undefined,
+    },
+    limit: {
+      type: Number,
+      min: 1,
+      default: 100,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    // Processed leads whose AI part fell back to the rule score
+    fallback: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    total_score: {
+      type: Number,
+      default: 0,
+    },
+    failures: {
+      type: [jobFailureSchema],
+      default: [],
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    started_at: {
+      type: Date,
+    },
+    completed_at: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+scoringJobSchema.index({ status: 1, createdAt: 1 });
+scoringJobSchema.index({ workspace: 1, createdAt: -1 });
+
+// Virtual for completion percentage
+scoringJobSchema.virtual('progress').get(function () {
+  if (!this.total) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round(((this.processed + this.failed) / this.total) * 100);
+});
+
+// Virtual for average final score of processed leads
+scoringJobSchema.virtual('average_score').get(function () {
+  return this.processed > 0
+    ? Math.round((this.total_score / this.processed) * 100) / 100
+    : 0;
+});
+
+const ScoringJob = mongoose.model('ScoringJob', scoringJobSchema);
+
+export default ScoringJob;
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = ['lead.scored', 'lead.high_intent', 'scoring.completed', 'import.completed'];
+
+/**
+ * Generate a signing secret
+ * @returns {string} - Secret, shown to the caller once
+ */
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Subscription of an HTTP endpoint to scoring and import events of a workspace
+const webhookSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: [(v) => v.length > 0, 'Subscribe to at least one event'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Signs every delivery; needed in plain text to compute the signature
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: {
+      type: String,
+      trim: true,
+    },
+    last_delivery_at: Date,
+    last_delivery_status: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      // Never send the secret, even from a document that was just created
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+webhookSchema.index({ workspace: 1, events: 1, active: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from './Webhook.js';
+
+// pending: waiting for its first or next attempt; delivering: an attempt is in flight;
+// succeeded: the endpoint answered 2xx; failed: every attempt failed
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+// Response body kept for debugging a delivery
+export const MAX_RESPONSE_BODY = 1000;
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    status_code: Number,
+    error: {
+      type: String,
+      trim: true,
+    },
+    duration_ms: Number,
+  },
+  { _id: false }
+);
+
+// One event sent, or to be sent, to one webhook
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: [true, 'Workspace is required'],
+    },
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+    // Body sent to the endpoint; replays send it unchanged
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: [deliveryAttemptSchema],
+      default: [],
+    },
+    next_attempt_at: {
+      type: Date,
+      default: Date.now,
+    },
+    response_body: {
+      type: String,
+      default: '',
+    },
+    delivered_at: Date,
+    // Delivery this one replays
+    replay_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+// Virtual for the number of attempts made
+webhookDeliverySchema.virtual('attemptCount').get(function () {
+  return this.attempts?.length || 0;
+});
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
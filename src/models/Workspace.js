@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// A client account; every offer, lead, score and import belongs to exactly one
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot be longer than 100 characters'],
+    },
+    // Short handle used in the X-Workspace header and JWT claims
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/, 'Slug must be 3-50 lowercase letters, digits or dashes'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Region for phone numbers written without a country code; PHONE_DEFAULT_REGION when unset
+    phone_region: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+workspaceSchema.index({ slug: 1 }, { unique: true });
+
+// Static method to find a workspace by id or slug
+workspaceSchema.statics.findByIdOrSlug = async function (idOrSlug) {
+  const filter = mongoose.isValidObjectId(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, { slug: String(idOrSlug).toLowerCase() }] }
+    : { slug: String(idOrSlug).toLowerCase() };
+  return this.findOne(filter);
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as apiKeyController from '../controllers/apiKey.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/api-keys?role=&includeRevoked=
+ * @desc    Get API keys
+ * @access  Private (api-keys:manage)
+ */
+router.get('/', authorize('api-keys:manage'), validate('getApiKeys'), apiKeyController.getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key for a role
+ * @access  Private (api-keys:manage)
+ */
+router.post('/', authorize('api-keys:manage'), validate('createApiKey'), apiKeyController.createApiKey);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Get API key by ID
+ * @access  Private (api-keys:manage)
+ */
+router.get('/:id', authorize('api-keys:manage'), validate('getApiKey'), apiKeyController.getApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api-keys:manage)
+ */
+router.delete('/:id', authorize('api-keys:manage'), validate('revokeApiKey'), apiKeyController.revokeApiKey);
+
+export default router;
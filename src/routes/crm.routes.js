@@ -0,0 +1,96 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as crmController from '../controllers/crm.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/crm/connections
+ * @desc    Get the workspace's CRM connections
+ * @access  Private (crm:read)
+ */
+router.get('/connections', authorize('crm:read'), crmController.getConnections);
+
+/**
+ * @route   POST /api/crm/connections
+ * @desc    Connect a CRM that scored leads are pushed to
+ * @access  Private (crm:manage)
+ */
+router.post('/connections', authorize('crm:manage'), validate('createCrmConnection'), crmController.createConnection);
+
+/**
+ * @route   GET /api/crm/connections/:id
+ * @desc    Get CRM connection by ID
+ * @access  Private (crm:read)
+ */
+router.get('/connections/:id', authorize('crm:read'), validate('getCrmConnection'), crmController.getConnection);
+
+/**
+ * @route   PUT /api/crm/connections/:id
+ * @desc    Update a CRM connection
+ * @access  Private (crm:manage)
+ */
+router.put(
+  '/connections/:id',
+  authorize('crm:manage'),
+  validate('updateCrmConnection'),
+  crmController.updateConnection
+);
+
+/**
+ * @route   DELETE /api/crm/connections/:id
+ * @desc    Delete a CRM connection
+ * @access  Private (crm:manage)
+ */
+router.delete(
+  '/connections/:id',
+  authorize('crm:manage'),
+  validate('deleteCrmConnection'),
+  crmController.deleteConnection
+);
+
+/**
+ * @route   POST /api/crm/connections/:id/sync
+ * @desc    Queue a push of scored leads to the CRM
+ * @access  Private (crm:sync)
+ */
+router.post(
+  '/connections/:id/sync',
+  authorize('crm:sync'),
+  validate('syncCrmConnection'),
+  crmController.syncConnection
+);
+
+/**
+ * @route   POST /api/crm/connections/:id/retry
+ * @desc    Queue a retry of failed pushes
+ * @access  Private (crm:sync)
+ */
+router.post(
+  '/connections/:id/retry',
+  authorize('crm:sync'),
+  validate('retryCrmSyncs'),
+  crmController.retryFailedSyncs
+);
+
+/**
+ * @route   GET /api/crm/connections/:id/syncs
+ * @desc    Get the sync status of leads in the CRM
+ * @access  Private (crm:read)
+ */
+router.get(
+  '/connections/:id/syncs',
+  authorize('crm:read'),
+  validate('getCrmSyncs'),
+  crmController.getConnectionSyncs
+);
+
+/**
+ * @route   GET /api/crm/jobs/:id
+ * @desc    Get a CRM sync job's progress
+ * @access  Private (crm:read)
+ */
+router.get('/jobs/:id', authorize('crm:read'), validate('getCrmSyncJob'), crmController.getSyncJob);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as importController from '../controllers/import.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/imports
+ * @desc    Get lead import batches
+ * @access  Private (imports:read)
+ */
+router.get('/', authorize('imports:read'), validate('getImports'), importController.getImports);
+
+/**
+ * @route   GET /api/imports/:id
+ * @desc    Get import batch by ID
+ * @access  Private (imports:read)
+ */
+router.get('/:id', authorize('imports:read'), validate('getImport'), importController.getImport);
+
+/**
+ * @route   GET /api/imports/:id/rejected.csv
+ * @desc    Download the rows an import rejected, to fix and re-upload
+ * @access  Private (imports:read)
+ */
+router.get('/:id/rejected.csv', authorize('imports:read'), validate('getImport'), importController.downloadRejectedRows);
+
+/**
+ * @route   DELETE /api/imports/:id
+ * @desc    Roll back an import by removing the leads it created
+ * @access  Private (leads:delete)
+ */
+router.delete('/:id', authorize('leads:delete'), validate('rollbackImport'), importController.rollbackImport);
+
+export default router;
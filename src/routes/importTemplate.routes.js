@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as importTemplateController from '../controllers/importTemplate.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/import-templates
+ * @desc    Get all import templates
+ * @access  Private (imports:read)
+ */
+router.get('/', authorize('imports:read'), importTemplateController.getImportTemplates);
+
+/**
+ * @route   POST /api/import-templates
+ * @desc    Save a named column mapping for lead uploads
+ * @access  Private (imports:write)
+ */
+router.post('/', authorize('imports:write'), validate('createImportTemplate'), importTemplateController.createImportTemplate);
+
+/**
+ * @route   GET /api/import-templates/:id
+ * @desc    Get import template by ID
+ * @access  Private (imports:read)
+ */
+router.get('/:id', authorize('imports:read'), validate('getImportTemplate'), importTemplateController.getImportTemplate);
+
+/**
+ * @route   PUT /api/import-templates/:id
+ * @desc    Update import template
+ * @access  Private (imports:write)
+ */
+router.put('/:id', authorize('imports:write'), validate('updateImportTemplate'), importTemplateController.updateImportTemplate);
+
+/**
+ * @route   DELETE /api/import-templates/:id
+ * @desc    Delete import template
+ * @access  Private (imports:write)
+ */
+router.delete('/:id', authorize('imports:write'), validate('deleteImportTemplate'), importTemplateController.deleteImportTemplate);
+
+export default router;
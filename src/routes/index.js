@@ -3,13 +3,30 @@ import offerRoutes from './offer.routes.js';
 import leadRoutes from './lead.routes.js';
 import scoreRoutes from './score.routes.js';
 import resultRoutes from './result.routes.js';
+import importTemplateRoutes from './importTemplate.routes.js';
+import importRoutes from './import.routes.js';
+import apiKeyRoutes from './apiKey.routes.js';
+import workspaceRoutes from './workspace.routes.js';
+import webhookRoutes from './webhook.routes.js';
+import crmRoutes from './crm.routes.js';
+import { authenticate } from '../middleware/auth.js';
+import { resolveWorkspace } from '../middleware/workspace.js';
 
 const router = Router();
 
-// API Routes
-router.use('/offers', offerRoutes);
-router.use('/leads', leadRoutes);
-router.use('/scores', scoreRoutes);
-router.use('/results', resultRoutes);
+// Every API route needs an API key or token; each route then checks its permission
+router.use(authenticate);
+
+// API Routes; client data is always read and written within one workspace
+router.use('/offers', resolveWorkspace, offerRoutes);
+router.use('/leads', resolveWorkspace, leadRoutes);
+router.use('/scores', resolveWorkspace, scoreRoutes);
+router.use('/results', resolveWorkspace, resultRoutes);
+router.use('/import-templates', resolveWorkspace, importTemplateRoutes);
+router.use('/imports', resolveWorkspace, importRoutes);
+router.use('/webhooks', resolveWorkspace, webhookRoutes);
+router.use('/crm', resolveWorkspace, crmRoutes);
+router.use('/workspaces', workspaceRoutes);
+router.use('/api-keys', apiKeyRoutes);
 
 export default router;
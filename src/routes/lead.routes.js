@@ -1,11 +1,14 @@
 import { Router } from 'express';
+import fileUpload from 'express-fileupload';
 import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
 import * as leadController from '../controllers/lead.controller.js';
+import * as duplicateController from '../controllers/duplicate.controller.js';
 import { BadRequestError } from '../middleware/errorHandler.js';
+import { IMPORT_FORMATS, detectImportFormat } from '../services/recordReader.service.js';
 import logger from '../utils/logger.js';
 import fs from 'fs';
 import { promisify } from 'util';
-import csv from 'csv-parser';
 import path from 'path';
 
 const unlinkAsync = promisify(fs.unlink);
@@ -13,6 +16,16 @@ const mkdirAsync = promisify(fs.mkdir);
 
 const router = Router();
 
+// File uploads; mounted on the upload routes after authorization, so a rejected request never
+// writes a temp file
+const parseUpload = fileUpload({
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  abortOnLimit: true,
+  responseOnLimit: 'File size is too large',
+  useTempFiles: true,
+  tempFileDir: './uploads/tmp/'
+});
+
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
   const uploadDir = path.join(process.cwd(), 'uploads');
@@ -22,6 +35,20 @@ const ensureUploadsDir = async () => {
   return uploadDir;
 };
 
+// Remove an express-fileupload temp file that will not be processed
+const discardTempFile = (file) => {
+  if (file?.tempFilePath) {
+    unlinkAsync(file.tempFilePath).catch(() => {});
+  }
+};
+
+// Remove every temp file of a request that failed before its upload was saved
+// (authorization or option validation); files already moved by saveUpload are left to the controller
+const discardUploadsOnError = (err, req, res, next) => {
+  Object.values(req.files || {}).flat().forEach(discardTempFile);
+  next(err);
+};
+
 // Custom file upload validation middleware
 const validateFileUpload = (req, res, next) => {
   if (!req.files || Object.keys(req.files).length === 0) {
@@ -32,27 +59,24 @@ const validateFileUpload = (req, res, next) => {
   
   // Check if file exists
   if (!file) {
+    Object.values(req.files).forEach(discardTempFile);
     return next(new BadRequestError('No file was uploaded'));
   }
 
-  // Check file type
-  const isCSV = file.mimetype === 'text/csv' || 
-               file.mimetype === 'application/vnd.ms-excel' ||
-               file.name.endsWith('.csv');
+  // Check file type; ?format= overrides detection from the file name
+  const format = req.query.format || detectImportFormat(file.name, file.mimetype);
   
-  if (!isCSV) {
-    return next(new BadRequestError('Only CSV files are allowed'));
+  if (!IMPORT_FORMATS.includes(format)) {
+    discardTempFile(file);
+    return next(new BadRequestError('Only CSV, XLSX, JSON and NDJSON files are allowed'));
   }
 
+  req.uploadFormat = format;
   next();
 };
 
-/**
- * @route   POST /api/leads/upload
- * @desc    Upload leads from CSV file
- * @access  Public
- */
-router.post('/upload', validateFileUpload, async (req, res, next) => {
+// Move the validated upload into ./uploads and describe it on req.file
+const saveUpload = async (req, res, next) => {
   let filePath = null;
   const file = req.files.file;
   
@@ -62,7 +86,7 @@ router.post('/upload', validateFileUpload, async (req, res, next) => {
     const uploadDir = await ensureUploadsDir();
     
     // Generate unique filename
-    const fileName = `leads-${Date.now()}-${Math.floor(Math.random() * 1000000)}.csv`;
+    const fileName = `leads-${Date.now()}-${Math.floor(Math.random() * 1000000)}.${req.uploadFormat}`;
     filePath = path.join(uploadDir, fileName);
 
     // Save the file
@@ -78,52 +102,139 @@ router.post('/upload', validateFileUpload, async (req, res, next) => {
     });
     
     logger.info(`File uploaded successfully: ${filePath}`);
-
-    // Add file info to request object
-    req.file = {
-      path: filePath,
-      originalname: file.name,
-      mimetype: file.mimetype,
-      size: file.size
-    };
-
-    // Process the file
-    try {
-      await leadController.uploadLeads(req, res, next);
-    } catch (err) {
-      // Remove the uploaded file if processing fails
-      if (filePath) {
-        await unlinkAsync(filePath);
-      }
-      logger.error('Error processing uploaded file:', { error: err.message });
-      return next(new BadRequestError(`Error processing uploaded file: ${err.message}`));
-    }
-    
   } catch (err) {
+    discardTempFile(file);
     logger.error('File upload error:', { error: err.message });
     return next(new BadRequestError(`File upload failed: ${err.message}`));
   }
-});
+
+  // Add file info to request object
+  req.file = {
+    path: filePath,
+    originalname: file.name,
+    mimetype: file.mimetype,
+    size: file.size,
+    format: req.uploadFormat
+  };
+
+  // The controller removes the file once it is processed
+  next();
+};
+
+/**
+ * @route   POST /api/leads/upload?mode=insert|upsert|skip&merge=overwrite|fill-empty|keep-existing&format=&sheet=
+ * @desc    Upload leads from a CSV, XLSX, JSON array or NDJSON file; columns are mapped by the `mapping` or `template` field, or detected
+ * @access  Private (imports:write)
+ */
+router.post(
+  '/upload',
+  authorize('imports:write'),
+  parseUpload,
+  validateFileUpload,
+  validate('uploadLeadOptions'),
+  saveUpload,
+  leadController.uploadLeads,
+  discardUploadsOnError
+);
+
+/**
+ * @route   POST /api/leads/upload/preview?rows=N&format=&sheet=
+ * @desc    Show the column mapping and the first N mapped rows of a file without importing it
+ * @access  Private (imports:write)
+ */
+router.post(
+  '/upload/preview',
+  authorize('imports:write'),
+  parseUpload,
+  validateFileUpload,
+  validate('previewLeadUpload'),
+  saveUpload,
+  leadController.previewUpload,
+  discardUploadsOnError
+);
 
 /**
  * @route   GET /api/leads
  * @desc    Get all leads
- * @access  Public
+ * @access  Private (leads:read)
+ */
+router.get('/', authorize('leads:read'), validate('getLeads'), leadController.getLeads);
+
+/**
+ * @route   POST /api/leads/bulk
+ * @desc    Delete, reset scores, tag, assign or mark for rescore the leads picked by ids or filter
+ * @access  Private (leads:write; delete needs leads:delete)
  */
-router.get('/', validate('getLeads'), leadController.getLeads);
+router.post('/bulk', authorize('leads:write'), validate('bulkLeads'), leadController.bulkLeads);
+
+/**
+ * @route   GET /api/leads/bulk/:id
+ * @desc    Get the progress of a bulk operation
+ * @access  Private (leads:read)
+ */
+router.get('/bulk/:id', authorize('leads:read'), validate('getBulkOperation'), leadController.getBulkOperation);
+
+/**
+ * @route   POST /api/leads/duplicates/scan
+ * @desc    Queue a scan of the workspace's leads for likely duplicates
+ * @access  Private (leads:write)
+ */
+router.post('/duplicates/scan', authorize('leads:write'), validate('scanDuplicates'), duplicateController.scanDuplicates);
+
+/**
+ * @route   GET /api/leads/duplicates/scans/:id
+ * @desc    Get the progress of a duplicate scan
+ * @access  Private (leads:read)
+ */
+router.get('/duplicates/scans/:id', authorize('leads:read'), validate('getDuplicateScan'), duplicateController.getDuplicateScan);
+
+/**
+ * @route   GET /api/leads/duplicates?status=open|dismissed&minConfidence=&leadId=
+ * @desc    Get likely duplicate pairs with both leads, most confident first
+ * @access  Private (leads:read)
+ */
+router.get('/duplicates', authorize('leads:read'), validate('getDuplicates'), duplicateController.getDuplicates);
+
+/**
+ * @route   PATCH /api/leads/duplicates/:id
+ * @desc    Dismiss a duplicate pair, or reopen it
+ * @access  Private (leads:write)
+ */
+router.patch('/duplicates/:id', authorize('leads:write'), validate('updateDuplicate'), duplicateController.updateDuplicate);
+
+/**
+ * @route   POST /api/leads/merge
+ * @desc    Merge leads into one with field-level choices; scores and history move to the kept lead
+ * @access  Private (leads:delete)
+ */
+router.post('/merge', authorize('leads:delete'), validate('mergeLeads'), duplicateController.mergeLeads);
 
 /**
  * @route   GET /api/leads/:id
  * @desc    Get lead by ID
- * @access  Public
+ * @access  Private (leads:read)
+ */
+router.get('/:id', authorize('leads:read'), validate('getLead'), leadController.getLead);
+
+/**
+ * @route   PATCH /api/leads/:id
+ * @desc    Update lead contact fields; scoring-relevant edits mark its scores stale
+ * @access  Private (leads:write)
+ */
+router.patch('/:id', authorize('leads:write'), validate('updateLead'), leadController.updateLead);
+
+/**
+ * @route   GET /api/leads/:id/history
+ * @desc    Get the change history of a lead
+ * @access  Private (leads:read)
  */
-router.get('/:id', validate('getLead'), leadController.getLead);
+router.get('/:id/history', authorize('leads:read'), validate('getLeadHistory'), leadController.getLeadHistory);
 
 /**
  * @route   DELETE /api/leads/:id
  * @desc    Delete lead
- * @access  Public
+ * @access  Private (leads:delete)
  */
-router.delete('/:id', validate('deleteLead'), leadController.deleteLead);
+router.delete('/:id', authorize('leads:delete'), validate('deleteLead'), leadController.deleteLead);
 
 export default router;
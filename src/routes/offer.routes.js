@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
 import * as offerController from '../controllers/offer.controller.js';
 
 const router = Router();
@@ -7,36 +8,43 @@ const router = Router();
 /**
  * @route   GET /api/offers
  * @desc    Get all offers
- * @access  Public
+ * @access  Private (offers:read)
  */
-router.get('/', offerController.getOffers);
+router.get('/', authorize('offers:read'), offerController.getOffers);
 
 /**
  * @route   POST /api/offers
  * @desc    Create a new offer
- * @access  Public
+ * @access  Private (offers:write)
  */
-router.post('/', validate('createOffer'), offerController.createOffer);
+router.post('/', authorize('offers:write'), validate('createOffer'), offerController.createOffer);
 
 /**
  * @route   GET /api/offers/:id
  * @desc    Get offer by ID
- * @access  Public
+ * @access  Private (offers:read)
  */
-router.get('/:id', validate('getOffer'), offerController.getOffer);
+router.get('/:id', authorize('offers:read'), validate('getOffer'), offerController.getOffer);
 
 /**
  * @route   PUT /api/offers/:id
  * @desc    Update offer
- * @access  Public
+ * @access  Private (offers:write)
  */
-router.put('/:id', validate('updateOffer'), offerController.updateOffer);
+router.put('/:id', authorize('offers:write'), validate('updateOffer'), offerController.updateOffer);
+
+/**
+ * @route   POST /api/offers/:id/rescore
+ * @desc    Re-score leads already scored for an offer
+ * @access  Private (scoring:run)
+ */
+router.post('/:id/rescore', authorize('scoring:run'), validate('rescoreOffer'), offerController.rescoreOffer);
 
 /**
  * @route   DELETE /api/offers/:id
  * @desc    Delete offer
- * @access  Public
+ * @access  Private (offers:write)
  */
-router.delete('/:id', validate('deleteOffer'), offerController.deleteOffer);
+router.delete('/:id', authorize('offers:write'), validate('deleteOffer'), offerController.deleteOffer);
 
 export default router;
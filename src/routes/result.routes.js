@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
 import * as resultController from '../controllers/result.controller.js';
 
 const router = Router();
@@ -7,15 +8,15 @@ const router = Router();
 /**
  * @route   GET /api/results
  * @desc    Get all scored leads with reasoning
- * @access  Public
+ * @access  Private (results:read)
  */
-router.get('/', validate('getResults'), resultController.getResults);
+router.get('/', authorize('results:read'), validate('getResults'), resultController.getResults);
 
 /**
- * @route   GET /api/results/export
- * @desc    Export results as CSV
- * @access  Public
+ * @route   GET /api/results/export?format=csv|ndjson|json|xlsx&columns=
+ * @desc    Stream results as CSV, NDJSON, JSON or XLSX, with the results filters
+ * @access  Private (results:export)
  */
-router.get('/export', resultController.exportResults);
+router.get('/export', authorize('results:export'), validate('exportResults'), resultController.exportResults);
 
 export default router;
@@ -1,21 +1,57 @@
 import { Router } from 'express';
 import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
 import * as scoreController from '../controllers/score.controller.js';
 
 const router = Router();
 
 /**
  * @route   POST /api/scores/process
- * @desc    Process leads and assign scores based on offer criteria
- * @access  Public
+ * @desc    Queue a job that scores leads against an offer
+ * @access  Private (scoring:run)
  */
-router.post('/process', validate('processScores'), scoreController.processScores);
+router.post('/process', authorize('scoring:run'), validate('processScores'), scoreController.processScores);
+
+/**
+ * @route   GET /api/scores/jobs/:id
+ * @desc    Get scoring job status and progress
+ * @access  Private (scoring:read)
+ */
+router.get('/jobs/:id', authorize('scoring:read'), validate('getScoringJob'), scoreController.getScoringJob);
+
+/**
+ * @route   DELETE /api/scores/jobs/:id
+ * @desc    Cancel a scoring job
+ * @access  Private (scoring:run)
+ */
+router.delete('/jobs/:id', authorize('scoring:run'), validate('cancelScoringJob'), scoreController.cancelScoringJob);
+
+/**
+ * @route   GET /api/scores/cache
+ * @desc    Get AI cache statistics
+ * @access  Private (scoring:read)
+ */
+router.get('/cache', authorize('scoring:read'), scoreController.getCacheStats);
+
+/**
+ * @route   DELETE /api/scores/cache
+ * @desc    Purge cached AI verdicts
+ * @access  Private (scoring:cache)
+ */
+router.delete('/cache', authorize('scoring:cache'), validate('purgeCache'), scoreController.purgeCache);
+
+/**
+ * @route   DELETE /api/scores/cache/:key
+ * @desc    Remove a single cached AI verdict
+ * @access  Private (scoring:cache)
+ */
+router.delete('/cache/:key', authorize('scoring:cache'), validate('deleteCacheEntry'), scoreController.deleteCacheEntry);
 
 /**
  * @route   GET /api/scores/summary
  * @desc    Get scoring summary
- * @access  Public
+ * @access  Private (scoring:read)
  */
-router.get('/summary', scoreController.getScoringSummary);
+router.get('/summary', authorize('scoring:read'), validate('getScoringSummary'), scoreController.getScoringSummary);
 
 export default router;
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as webhookController from '../controllers/webhook.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the workspace's webhooks
+ * @access  Private (webhooks:read)
+ */
+router.get('/', authorize('webhooks:read'), webhookController.getWebhooks);
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to lead and scoring events; returns the signing secret once
+ * @access  Private (webhooks:manage)
+ */
+router.post('/', authorize('webhooks:manage'), validate('createWebhook'), webhookController.createWebhook);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get webhook by ID
+ * @access  Private (webhooks:read)
+ */
+router.get('/:id', authorize('webhooks:read'), validate('getWebhook'), webhookController.getWebhook);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook or rotate its secret
+ * @access  Private (webhooks:manage)
+ */
+router.put('/:id', authorize('webhooks:manage'), validate('updateWebhook'), webhookController.updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook
+ * @access  Private (webhooks:manage)
+ */
+router.delete('/:id', authorize('webhooks:manage'), validate('deleteWebhook'), webhookController.deleteWebhook);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get a webhook's delivery log
+ * @access  Private (webhooks:read)
+ */
+router.get(
+  '/:id/deliveries',
+  authorize('webhooks:read'),
+  validate('getWebhookDeliveries'),
+  webhookController.getWebhookDeliveries
+);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and attempts
+ * @access  Private (webhooks:read)
+ */
+router.get(
+  '/:id/deliveries/:deliveryId',
+  authorize('webhooks:read'),
+  validate('getWebhookDelivery'),
+  webhookController.getWebhookDelivery
+);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+ * @desc    Send a delivery's payload again
+ * @access  Private (webhooks:manage)
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/replay',
+  authorize('webhooks:manage'),
+  validate('replayWebhookDelivery'),
+  webhookController.replayWebhookDelivery
+);
+
+export default router;
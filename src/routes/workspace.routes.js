@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { validate } from '../middleware/validation.js';
+import { authorize } from '../middleware/auth.js';
+import * as workspaceController from '../controllers/workspace.controller.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    Get the workspaces the caller can access
+ * @access  Private (workspaces:read)
+ */
+router.get('/', authorize('workspaces:read'), workspaceController.getWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a workspace for a client
+ * @access  Private (workspaces:manage, agency-wide credentials only)
+ */
+router.post('/', authorize('workspaces:manage'), validate('createWorkspace'), workspaceController.createWorkspace);
+
+/**
+ * @route   GET /api/workspaces/:id
+ * @desc    Get workspace by ID
+ * @access  Private (workspaces:read)
+ */
+router.get('/:id', authorize('workspaces:read'), validate('getWorkspace'), workspaceController.getWorkspace);
+
+/**
+ * @route   PUT /api/workspaces/:id
+ * @desc    Update a workspace's name or description
+ * @access  Private (workspaces:manage)
+ */
+router.put('/:id', authorize('workspaces:manage'), validate('updateWorkspace'), workspaceController.updateWorkspace);
+
+export default router;
@@ -8,13 +8,24 @@ import { createServer } from 'http';
 import { connectDB } from './config/db.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import routes from './routes/index.js';
+import { startWorkers } from './workers/index.js';
+import { migrateLegacyData } from './services/workspace.service.js';
+import { checkEnrichmentConfig } from './services/enrichment/index.js';
 import logger from './utils/logger.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// A misconfigured enrichment source would otherwise fail every lead scored
+try {
+  checkEnrichmentConfig();
+} catch (error) {
+  logger.error(`Invalid enrichment configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Connect to MongoDB, move pre-workspace data into a workspace, then pick up any unfinished background jobs
+connectDB().then(migrateLegacyData).then(startWorkers);
 
 // Security middleware
 app.use(helmet());
@@ -41,16 +52,6 @@ app.use('/api', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// File uploads
-import fileUpload from 'express-fileupload';
-app.use(fileUpload({
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
-  abortOnLimit: true,
-  responseOnLimit: 'File size is too large',
-  useTempFiles: true,
-  tempFileDir: './uploads/tmp/'
-}));
-
 // Logging
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
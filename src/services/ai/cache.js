@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import aiConfig from '../../config/ai.js';
+import AICacheEntry from '../../models/AICacheEntry.js';
+
+/**
+ * Fingerprint of everything that determines an AI verdict
+ * @param {Object} input - Workspace, prompt version, provider, model and the lead/offer fields sent in the prompt
+ * @returns {string} - Hex SHA-256 hash
+ */
+export const fingerprint = (input) =>
+  crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+
+/**
+ * Look up a cached verdict
+ * @param {string} key - Fingerprint
+ * @returns {Promise<Object|null>} - Verdict, or null on a miss or when caching is disabled
+ */
+export const getCachedVerdict = async (key) => {
+  if (!aiConfig.cacheTtlSeconds) {
+    return null;
+  }
+
+  const entry = await AICacheEntry.findOneAndUpdate(
+    { key, expires_at: { $gt: new Date() } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  ).lean();
+
+  return entry ? entry.verdict : null;
+};
+
+/**
+ * Store a verdict under its fingerprint
+ * @param {string} key - Fingerprint
+ * @param {Object} verdict - Validated AI verdict
+ * @param {Object} meta - `workspace`, `prompt_version`, `provider`, `model` and `offer`
+ */
+export const setCachedVerdict = async (key, verdict, meta) => {
+  if (!aiConfig.cacheTtlSeconds) {
+    return;
+  }
+
+  await AICacheEntry.updateOne(
+    { key },
+    {
+      $set: {
+        ...meta,
+        verdict,
+        expires_at: new Date(Date.now() + aiConfig.cacheTtlSeconds * 1000),
+      },
+      $setOnInsert: { hits: 0 },
+    },
+    { upsert: true }
+  );
+};
+
+export default {
+  fingerprint,
+  getCachedVerdict,
+  setCachedVerdict,
+};
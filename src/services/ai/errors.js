@@ -0,0 +1,53 @@
+/**
+ * Error raised by an AI provider call
+ */
+export class AIProviderError extends Error {
+  /**
+   * Create AI provider error
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - HTTP status returned by the provider, if any
+   * @param {boolean} [options.retryable] - Whether the call may succeed if retried
+   * @param {number} [options.retryAfterMs] - Provider-requested delay before retrying
+   */
+  constructor(message, { status, retryable, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.status = status;
+    this.retryable = retryable ?? isRetryableStatus(status);
+    this.retryAfterMs = retryAfterMs;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Rate limiting and server errors are worth retrying; other client errors are not.
+ * A missing status means the request never got a response (network error, timeout).
+ * @param {number} [status] - HTTP status
+ * @returns {boolean}
+ */
+export const isRetryableStatus = (status) =>
+  status === undefined || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Parse a Retry-After header value into milliseconds
+ * @param {string|null} value - Header value, seconds or an HTTP date
+ * @returns {number|undefined}
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+export default {
+  AIProviderError,
+  isRetryableStatus,
+  parseRetryAfter,
+};
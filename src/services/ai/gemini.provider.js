@@ -0,0 +1,50 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { AIProviderError } from './errors.js';
+
+/**
+ * The SDK reports HTTP failures only in the message, e.g. "...: [429 Too Many Requests] ..."
+ * @param {Error} error - SDK error
+ * @returns {AIProviderError}
+ */
+const toProviderError = (error) => {
+  const match = /\[(\d{3})[\s\]]/.exec(error.message || '');
+  const status = match ? parseInt(match[1], 10) : undefined;
+  // Without a status, only network failures are retried; blocked prompts and
+  // malformed responses will not improve on retry
+  const retryable = status === undefined
+    ? /fetch|network|timeout|ECONN/i.test(error.message || '')
+    : undefined;
+  return new AIProviderError(error.message, { status, retryable });
+};
+
+/**
+ * Create a Google Gemini provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Model name
+ * @returns {Object} - AI provider
+ */
+export const createGeminiProvider = ({ apiKey, model }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt) {
+      try {
+        const result = await generativeModel.generateContent(prompt);
+        const response = await result.response;
+        return response.text().trim();
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    },
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,44 @@
+import aiConfig from '../../config/ai.js';
+import { createGeminiProvider } from './gemini.provider.js';
+import { createOpenAIProvider } from './openai.provider.js';
+import { createMockProvider } from './mock.provider.js';
+
+const factories = {
+  gemini: () => createGeminiProvider({
+    apiKey: aiConfig.gemini.apiKey,
+    model: aiConfig.model || aiConfig.gemini.defaultModel,
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: aiConfig.openai.baseUrl,
+    apiKey: aiConfig.openai.apiKey,
+    model: aiConfig.model || aiConfig.openai.defaultModel,
+    timeoutMs: aiConfig.timeoutMs,
+  }),
+  mock: () => createMockProvider({
+    response: aiConfig.mock.response,
+    model: aiConfig.model || aiConfig.mock.defaultModel,
+  }),
+};
+
+export const AI_PROVIDERS = Object.keys(factories);
+
+let provider = null;
+
+/**
+ * Get the configured AI provider, created on first use
+ * @returns {Object} - Provider with `name`, `model` and `generate(prompt)`
+ */
+export const getAIProvider = () => {
+  if (!provider) {
+    const factory = factories[aiConfig.provider];
+    if (!factory) {
+      throw new Error(
+        `Unknown AI provider "${aiConfig.provider}". Expected one of: ${AI_PROVIDERS.join(', ')}`
+      );
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+export default getAIProvider;
@@ -0,0 +1,23 @@
+const DEFAULT_RESPONSE = JSON.stringify({
+  intent: 'Medium',
+  score: 30,
+  confidence: 0.5,
+  reasons: [{ attribute: 'role', detail: 'Mock AI provider response; no model was called.' }],
+});
+
+/**
+ * Create a deterministic offline provider for development and CI
+ * @param {Object} options - Provider options
+ * @param {string} [options.response] - Fixed reply to return for every prompt
+ * @param {string} options.model - Reported model name
+ * @returns {Object} - AI provider
+ */
+export const createMockProvider = ({ response, model }) => ({
+  name: 'mock',
+  model,
+  async generate() {
+    return response || DEFAULT_RESPONSE;
+  },
+});
+
+export default createMockProvider;
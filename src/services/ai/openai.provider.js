@@ -0,0 +1,59 @@
+import { AIProviderError, parseRetryAfter } from './errors.js';
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - Bearer token; local servers usually need none
+ * @param {string} options.model - Model name
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} - AI provider
+ */
+export const createOpenAIProvider = ({ baseUrl, apiKey, model, timeoutMs }) => ({
+  name: 'openai',
+  model,
+  async generate(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      // Network failure or timeout
+      throw new AIProviderError(`AI request failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new AIProviderError(
+        `AI request failed with status ${response.status}: ${body.slice(0, 200)}`,
+        {
+          status: response.status,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        }
+      );
+    }
+
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new AIProviderError('AI response did not contain a message', { retryable: false });
+    }
+
+    return text.trim();
+  },
+});
+
+export default createOpenAIProvider;
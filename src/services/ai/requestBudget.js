@@ -0,0 +1,40 @@
+import { sleep } from '../../utils/async.js';
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Create a sliding-window budget of provider requests per minute
+ * @param {number} requestsPerMinute - Allowed requests per minute; 0 disables the budget
+ * @returns {{ acquire: Function }} - `acquire()` resolves once a request may be sent
+ */
+export const createRequestBudget = (requestsPerMinute) => {
+  const sentAt = [];
+  let queue = Promise.resolve();
+
+  const waitForSlot = async () => {
+    for (;;) {
+      const now = Date.now();
+      while (sentAt.length > 0 && now - sentAt[0] >= WINDOW_MS) {
+        sentAt.shift();
+      }
+      if (sentAt.length < requestsPerMinute) {
+        sentAt.push(now);
+        return;
+      }
+      await sleep(WINDOW_MS - (now - sentAt[0]));
+    }
+  };
+
+  return {
+    acquire() {
+      if (!requestsPerMinute) {
+        return Promise.resolve();
+      }
+      // Callers are served in order
+      queue = queue.then(waitForSlot);
+      return queue;
+    },
+  };
+};
+
+export default createRequestBudget;
@@ -0,0 +1,109 @@
+export const AI_INTENTS = ['High', 'Medium', 'Low'];
+
+// Lead attributes the model may cite as the basis for its verdict
+export const AI_REASON_ATTRIBUTES = ['name', 'role', 'company', 'industry', 'linkedin'];
+
+export const AI_MAX_SCORE = 50;
+
+/**
+ * JSON shape the model is asked to return; embedded in the prompt verbatim
+ */
+export const AI_SCORE_SCHEMA = {
+  intent: `one of ${AI_INTENTS.map((i) => `"${i}"`).join(', ')}`,
+  score: `integer from 0 to ${AI_MAX_SCORE}`,
+  confidence: 'number from 0 to 1',
+  reasons: [
+    {
+      attribute: `one of ${AI_REASON_ATTRIBUTES.map((a) => `"${a}"`).join(', ')}`,
+      detail: 'short explanation, at most 200 characters',
+    },
+  ],
+};
+
+/**
+ * Extract a JSON object from a model reply, tolerating code fences and surrounding text
+ * @param {string} text - Raw model reply
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - If no JSON object can be parsed
+ */
+export const parseJSONReply = (text) => {
+  const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+};
+
+/**
+ * Validate a parsed AI verdict against the schema
+ * @param {*} value - Parsed model reply
+ * @returns {{ valid: boolean, errors: string[], value: Object|null }} - Result with the normalized verdict
+ */
+export const validateAIScore = (value) => {
+  const errors = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['Reply must be a JSON object'], value: null };
+  }
+
+  const intent = typeof value.intent === 'string'
+    ? AI_INTENTS.find((i) => i.toLowerCase() === value.intent.trim().toLowerCase())
+    : undefined;
+  if (!intent) {
+    errors.push(`"intent" must be one of ${AI_INTENTS.join(', ')}`);
+  }
+
+  if (!Number.isInteger(value.score) || value.score < 0 || value.score > AI_MAX_SCORE) {
+    errors.push(`"score" must be an integer from 0 to ${AI_MAX_SCORE}`);
+  }
+
+  if (typeof value.confidence !== 'number' || value.confidence < 0 || value.confidence > 1) {
+    errors.push('"confidence" must be a number from 0 to 1');
+  }
+
+  if (!Array.isArray(value.reasons) || value.reasons.length === 0) {
+    errors.push('"reasons" must be a non-empty array');
+  } else {
+    value.reasons.forEach((reason, index) => {
+      if (!reason || !AI_REASON_ATTRIBUTES.includes(reason.attribute)) {
+        errors.push(`"reasons[${index}].attribute" must be one of ${AI_REASON_ATTRIBUTES.join(', ')}`);
+      }
+      if (!reason || typeof reason.detail !== 'string' || !reason.detail.trim()) {
+        errors.push(`"reasons[${index}].detail" must be a non-empty string`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    value: {
+      intent,
+      score: value.score,
+      confidence: value.confidence,
+      reasons: value.reasons.map((reason) => ({
+        attribute: reason.attribute,
+        detail: reason.detail.trim().slice(0, 200),
+      })),
+    },
+  };
+};
+
+export default {
+  AI_INTENTS,
+  AI_REASON_ATTRIBUTES,
+  AI_MAX_SCORE,
+  AI_SCORE_SCHEMA,
+  parseJSONReply,
+  validateAIScore,
+};
@@ -0,0 +1,236 @@
+import aiConfig from '../config/ai.js';
+import { getAIProvider } from './ai/index.js';
+import { AIProviderError } from './ai/errors.js';
+import { fingerprint, getCachedVerdict, setCachedVerdict } from './ai/cache.js';
+import { createRequestBudget } from './ai/requestBudget.js';
+import {
+  AI_SCORE_SCHEMA,
+  parseJSONReply,
+  validateAIScore,
+} from './ai/scoreSchema.js';
+import logger from '../utils/logger.js';
+import { sleep } from '../utils/async.js';
+
+const SCHEMA_TEXT = JSON.stringify(AI_SCORE_SCHEMA, null, 2);
+
+// Bump whenever the prompt or the verdict schema changes, so cached verdicts are not reused
+export const PROMPT_VERSION = '3';
+
+/**
+ * Lead and offer fields sent to the model; the cache fingerprint covers exactly these
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @returns {Object} - Prompt inputs
+ */
+const getPromptInputs = (lead, offer) => ({
+  lead: {
+    name: lead.name,
+    role: lead.role,
+    company: lead.company || lead.enrichment?.company_name || 'N/A',
+    industry: lead.industry,
+    linkedin: lead.linkedin || 'N/A',
+    email_domain: lead.enrichment?.domain || 'N/A',
+    free_mail: Boolean(lead.enrichment?.free_mail),
+    company_size: lead.enrichment?.company_size || 'N/A',
+    country: lead.enrichment?.country || 'N/A',
+    sector: lead.enrichment?.sector || 'N/A',
+  },
+  offer: {
+    name: offer.name,
+    value_props: [...offer.value_props],
+    ideal_use_cases: [...offer.ideal_use_cases],
+  },
+});
+
+/**
+ * Build the scoring prompt for a lead and offer
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @returns {string} - Prompt text
+ */
+export const buildScoringPrompt = (lead, offer) => {
+  const inputs = getPromptInputs(lead, offer);
+
+  return `Given the following lead and offer details, analyze the potential buying intent of the lead.
+
+Lead:
+- Name: ${inputs.lead.name}
+- Role: ${inputs.lead.role}
+- Company: ${inputs.lead.company}
+- Industry: ${inputs.lead.industry}
+- LinkedIn: ${inputs.lead.linkedin}
+- Email Domain: ${inputs.lead.email_domain}${inputs.lead.free_mail ? ' (free-mail address, not a company domain)' : ''}
+- Company Size: ${inputs.lead.company_size}
+- Country: ${inputs.lead.country}
+- Company Sector: ${inputs.lead.sector}
+
+Offer:
+- Name: ${inputs.offer.name}
+- Value Propositions: ${inputs.offer.value_props.join(', ')}
+- Ideal Use Cases: ${inputs.offer.ideal_use_cases.join(', ')}
+
+Respond with a single JSON object and nothing else, following this schema:
+${SCHEMA_TEXT}
+
+Use 1-3 reasons, each naming the lead attribute it is based on.`;
+};
+
+/**
+ * Build a follow-up prompt asking the model to fix an invalid reply. Provider calls are
+ * stateless, so the original prompt is sent again with the problems found.
+ * @param {string} prompt - Original scoring prompt
+ * @param {string} reply - Previous model reply
+ * @param {string[]} errors - Validation errors for that reply
+ * @returns {string} - Prompt text
+ */
+const buildRepairPrompt = (prompt, reply, errors) => `${prompt}
+
+Your previous reply to this request was not valid.
+
+Previous reply:
+${reply}
+
+Problems:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Reply again with only a JSON object that follows the schema above.`;
+
+/**
+ * Parse and validate a model reply
+ * @param {string} text - Model reply
+ * @returns {Object} - Validation result
+ */
+const checkReply = (text) => {
+  try {
+    return validateAIScore(parseJSONReply(text));
+  } catch (error) {
+    return { valid: false, errors: [`Reply is not valid JSON: ${error.message}`], value: null };
+  }
+};
+
+const requestBudget = createRequestBudget(aiConfig.requestsPerMinute);
+
+/**
+ * Exponential backoff with jitter, honouring a provider's Retry-After
+ * @param {number} attempt - Zero-based retry number
+ * @param {Error} error - Error from the failed attempt
+ * @returns {number} - Delay in milliseconds
+ */
+const retryDelay = (attempt, error) => {
+  if (error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, aiConfig.retryMaxMs);
+  }
+  const backoff = Math.min(aiConfig.retryBaseMs * 2 ** attempt, aiConfig.retryMaxMs);
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Send a prompt within the request budget, retrying transient failures
+ * @param {Object} provider - AI provider
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>} - Model reply
+ */
+const generateWithRetry = async (provider, prompt) => {
+  for (let attempt = 0; ; attempt++) {
+    await requestBudget.acquire();
+
+    try {
+      return await provider.generate(prompt);
+    } catch (error) {
+      const retryable = error instanceof AIProviderError && error.retryable;
+      if (!retryable || attempt >= aiConfig.maxRetries) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, error);
+      logger.warn(`AI request failed (${error.status || error.message}), retry ${attempt + 1}/${aiConfig.maxRetries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Get AI-based score from the configured provider
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @returns {Promise<Object>} - `status` is `ok` with a `verdict`, `invalid` when the
+ *   model never produced a valid reply, or `failed` when the provider could not be reached;
+ *   always includes the provider/model used and whether the verdict came from the cache
+ */
+export const getAIScore = async (lead, offer) => {
+  let provider = { name: aiConfig.provider, model: aiConfig.model };
+
+  try {
+    provider = getAIProvider();
+
+    // Identical inputs reuse the earlier verdict instead of calling the model again
+    const cacheKey = fingerprint({
+      workspace: String(offer.workspace),
+      prompt_version: PROMPT_VERSION,
+      provider: provider.name,
+      model: provider.model,
+      ...getPromptInputs(lead, offer),
+    });
+
+    const cached = await getCachedVerdict(cacheKey);
+    if (cached) {
+      return {
+        status: 'ok',
+        verdict: cached,
+        cached: true,
+        provider: provider.name,
+        model: provider.model,
+      };
+    }
+
+    const prompt = buildScoringPrompt(lead, offer);
+    let text = await generateWithRetry(provider, prompt);
+    let result = checkReply(text);
+
+    // Give the model one chance to repair an invalid reply
+    if (!result.valid) {
+      logger.warn(`Invalid AI reply for lead ${lead._id}: ${result.errors.join('; ')}`);
+      text = await generateWithRetry(provider, buildRepairPrompt(prompt, text, result.errors));
+      result = checkReply(text);
+    }
+
+    if (!result.valid) {
+      return {
+        status: 'invalid',
+        error: `AI reply failed validation after repair: ${result.errors.join('; ')}`,
+        provider: provider.name,
+        model: provider.model,
+      };
+    }
+
+    await setCachedVerdict(cacheKey, result.value, {
+      workspace: offer.workspace,
+      prompt_version: PROMPT_VERSION,
+      provider: provider.name,
+      model: provider.model,
+      offer: offer._id,
+    });
+
+    return {
+      status: 'ok',
+      verdict: result.value,
+      cached: false,
+      provider: provider.name,
+      model: provider.model,
+    };
+  } catch (error) {
+    logger.error(`Error getting AI score for lead ${lead._id}: ${error.message}`);
+    return {
+      status: 'failed',
+      error: error.message,
+      provider: provider.name,
+      model: provider.model,
+    };
+  }
+};
+
+export default {
+  PROMPT_VERSION,
+  buildScoringPrompt,
+  getAIScore,
+};
@@ -0,0 +1,173 @@
+import Lead from '../models/Lead.js';
+import { BULK_ACTIONS } from '../models/BulkOperation.js';
+import LeadScore from '../models/LeadScore.js';
+import CrmSync from '../models/CrmSync.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import { markScoresStale } from './scoring.service.js';
+import { recordLeadChanges } from './leadHistory.service.js';
+import { enrichLead, enrichmentChanged } from './enrichment.service.js';
+import { buildLeadFilter } from '../utils/leadFilter.js';
+
+// Leads handled per step
+export const BULK_CHUNK_SIZE = 500;
+
+// Larger selections run as a background operation
+export const BULK_SYNC_LIMIT = parseInt(process.env.BULK_SYNC_LIMIT, 10) || 1000;
+
+/**
+ * Build the Lead filter for a bulk target
+ * @param {Object} target - `ids`, or a lead search `filter`
+ * @param {Object} workspace - Workspace id the selection is limited to
+ * @returns {Object} - MongoDB filter
+ */
+export const buildBulkSelection = ({ ids, filter } = {}, workspace) => ({
+  workspace,
+  ...(ids?.length ? { _id: { $in: ids } } : buildLeadFilter(filter || {})),
+});
+
+const sameTags = (a, b) => a.length === b.length && a.every((tag, i) => tag === b[i]);
+
+// Each action handles one chunk of leads and returns how many leads or scores it affected;
+// `context` holds the workspace and actor recorded in the history
+const ACTIONS = {
+  delete: async (leads) => {
+    const ids = leads.map((lead) => lead._id);
+    await LeadScore.deleteMany({ lead: { $in: ids } });
+    await CrmSync.deleteMany({ lead: { $in: ids } });
+    await LeadDuplicate.deleteForLeads(ids);
+    const { deletedCount } = await Lead.deleteMany({ _id: { $in: ids } });
+    return deletedCount;
+  },
+
+  'reset-score': async (leads, { offer }) => {
+    const ids = leads.map((lead) => lead._id);
+    const { deletedCount } = await LeadScore.deleteMany({ lead: { $in: ids }, ...(offer && { offer }) });
+
+    // The lead summary only describes the latest score; clear it if that score is gone
+    await Lead.updateMany(
+      { _id: { $in: ids }, ...(offer && { offer }) },
+      {
+        $set: { score: 0, score_reason: '', is_processed: false },
+        $unset: { processed_at: '', offer: '' },
+      }
+    );
+
+    return deletedCount;
+  },
+
+  tag: async (leads, { tags, tag_mode: mode = 'add' }, context) => {
+    const ids = leads.map((lead) => lead._id);
+    const update = mode === 'remove'
+      ? { $pull: { tags: { $in: tags } } }
+      : { $addToSet: { tags: { $each: tags } } };
+    const { modifiedCount } = await Lead.updateMany({ _id: { $in: ids } }, update);
+
+    const changes = leads
+      .map((lead) => {
+        const before = lead.tags || [];
+        const after = mode === 'remove'
+          ? before.filter((tag) => !tags.includes(tag))
+          : [...before, ...tags.filter((tag) => !before.includes(tag))];
+        return { lead: lead._id, changes: sameTags(before, after) ? [] : [{ field: 'tags', old_value: before, new_value: after }] };
+      })
+      .filter(({ changes: list }) => list.length > 0);
+    await recordLeadChanges(changes, { ...context, source: 'bulk' });
+
+    return modifiedCount;
+  },
+
+  assign: async (leads, { assignee = null }, context) => {
+    const changed = leads.filter((lead) => (lead.assigned_to ?? null) !== assignee);
+    if (changed.length === 0) {
+      return 0;
+    }
+
+    const { modifiedCount } = await Lead.updateMany(
+      { _id: { $in: changed.map((lead) => lead._id) } },
+      { $set: { assigned_to: assignee } }
+    );
+
+    await recordLeadChanges(
+      changed.map((lead) => ({
+        lead: lead._id,
+        changes: [{ field: 'assigned_to', old_value: lead.assigned_to ?? null, new_value: assignee }],
+      })),
+      { ...context, source: 'bulk' }
+    );
+
+    return modifiedCount;
+  },
+
+  'mark-for-rescore': (leads, { offer }) =>
+    markScoresStale({ lead: { $in: leads.map((lead) => lead._id) }, ...(offer && { offer }) }),
+
+  // Re-read the domain and dataset, e.g. after the dataset changed; changed leads need rescoring
+  enrich: async (leads) => {
+    const changed = [];
+    for (const lead of leads) {
+      const before = lead.enrichment;
+      const { enrichment } = await enrichLead({ ...lead }, { force: true });
+      if (enrichmentChanged(before, enrichment)) {
+        changed.push(lead._id);
+      }
+    }
+
+    if (changed.length > 0) {
+      await markScoresStale({ lead: { $in: changed } });
+    }
+
+    return changed.length;
+  },
+};
+
+/**
+ * Apply a bulk action to every lead matching a selection, in chunks ordered by _id so leads
+ * the action removes from the selection are not skipped
+ * @param {Object} selection - Lead filter from buildBulkSelection
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} [params] - Action arguments
+ * @param {Object} [options] - `workspace` and `actor` for the history, and `onProgress({ processed, affected })`
+ *   after each chunk
+ * @returns {Promise<{ processed: number, affected: number }>}
+ */
+export const runBulkAction = async (selection, action, params = {}, { workspace, actor, onProgress } = {}) => {
+  const apply = ACTIONS[action];
+  if (!apply) {
+    throw new Error(`Unknown bulk action: ${action}`);
+  }
+
+  let processed = 0;
+  let affected = 0;
+  let lastId = null;
+
+  for (;;) {
+    const filter = lastId
+      ? { ...selection, $and: [...(selection.$and || []), { _id: { $gt: lastId } }] }
+      : selection;
+
+    const leads = await Lead.find(filter)
+      .select('_id email tags assigned_to enrichment')
+      .sort({ _id: 1 })
+      .limit(BULK_CHUNK_SIZE)
+      .lean();
+
+    if (leads.length === 0) {
+      return { processed, affected };
+    }
+
+    affected += await apply(leads, params, { workspace, actor });
+    processed += leads.length;
+    lastId = leads[leads.length - 1]._id;
+
+    if (onProgress) {
+      await onProgress({ processed, affected });
+    }
+  }
+};
+
+export default {
+  BULK_CHUNK_SIZE,
+  BULK_SYNC_LIMIT,
+  buildBulkSelection,
+  runBulkAction,
+};
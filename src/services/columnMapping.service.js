@@ -0,0 +1,130 @@
+import { BadRequestError } from '../middleware/errorHandler.js';
+
+// Lead fields that can be imported, in report order
+export const LEAD_IMPORT_FIELDS = ['name', 'email', 'role', 'industry', 'company', 'linkedin', 'phone'];
+
+// Fields a row must have to become a lead
+export const REQUIRED_IMPORT_FIELDS = ['name', 'email', 'role', 'industry'];
+
+// Common header spellings from CRMs, trade-show scanners and spreadsheets
+export const HEADER_SYNONYMS = {
+  name: ['name', 'full name', 'fullname', 'contact name', 'contact', 'lead name', 'person', 'attendee name'],
+  email: ['email', 'e-mail', 'email address', 'work email', 'business email', 'email id', 'mail', 'primary email'],
+  role: ['role', 'title', 'job title', 'jobtitle', 'position', 'designation', 'job role', 'job function'],
+  industry: ['industry', 'sector', 'vertical', 'industry type', 'market', 'segment'],
+  company: ['company', 'company name', 'organization', 'organisation', 'account', 'account name', 'employer', 'business name'],
+  linkedin: ['linkedin', 'linkedin url', 'linkedin profile', 'linkedin profile url', 'li url', 'profile url', 'linkedin bio'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile phone', 'cell', 'telephone', 'work phone', 'direct phone', 'contact number'],
+};
+
+/**
+ * Reduce a header to a comparable form: lowercase letters and digits separated by single spaces
+ * @param {string} header - Raw header
+ * @returns {string}
+ */
+const normalizeHeader = (header) =>
+  String(header).toLowerCase().replace(/[_\-.]+/g, ' ').replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+
+const SYNONYM_LOOKUP = new Map(
+  Object.entries(HEADER_SYNONYMS).flatMap(([field, synonyms]) =>
+    synonyms.map((synonym) => [normalizeHeader(synonym), field])
+  )
+);
+
+/**
+ * Guess the mapping from lead fields to file headers using HEADER_SYNONYMS
+ * @param {string[]} headers - File headers
+ * @returns {Object} - `{ leadField: header }` for every field that could be matched
+ */
+export const detectMapping = (headers) => {
+  const mapping = {};
+  headers.forEach((header) => {
+    const field = SYNONYM_LOOKUP.get(normalizeHeader(header));
+    // The first matching column wins
+    if (field && !mapping[field]) {
+      mapping[field] = header;
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Combine the detected mapping with an explicit one and check it against the file
+ * @param {string[]} headers - File headers
+ * @param {Object} [explicit] - `{ leadField: header }` from the request or a template; wins over detection
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial=false] - `headers` are only the keys seen so far (JSON), so an
+ *   explicit header missing from them may still appear in a later record
+ * @returns {Object} - `mapping`, the `detected` fields, the `unmappedHeaders` that will be ignored,
+ *   and the `missingRequired` fields no column maps to
+ * @throws {BadRequestError} - If the mapping names unknown lead fields or headers not in the file
+ */
+export const resolveMapping = (headers, explicit = {}, { partial = false } = {}) => {
+  const unknownFields = Object.keys(explicit).filter((field) => !LEAD_IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new BadRequestError(`Unknown lead fields in mapping: ${unknownFields.join(', ')}`);
+  }
+
+  const missingHeaders = Object.values(explicit).filter((header) => header && !headers.includes(header));
+  if (missingHeaders.length > 0 && !partial) {
+    throw new BadRequestError(`Mapped columns not found in file: ${missingHeaders.join(', ')}`);
+  }
+
+  const detected = detectMapping(headers);
+  const mapping = { ...detected };
+  Object.entries(explicit).forEach(([field, header]) => {
+    // An empty header in an explicit mapping leaves the field unmapped
+    if (header) {
+      mapping[field] = header;
+    } else {
+      delete mapping[field];
+    }
+  });
+
+  const mappedHeaders = new Set(Object.values(mapping));
+
+  return {
+    mapping,
+    detected: Object.keys(detected).filter((field) => mapping[field] === detected[field]),
+    unmappedHeaders: headers.filter((header) => !mappedHeaders.has(header)),
+    missingRequired: REQUIRED_IMPORT_FIELDS.filter((field) => !mapping[field]),
+  };
+};
+
+/**
+ * Reject a mapping that cannot produce valid leads
+ * @param {Object} resolved - Result of resolveMapping
+ * @throws {BadRequestError} - If a required field has no column
+ */
+export const assertCompleteMapping = ({ missingRequired }) => {
+  if (missingRequired.length > 0) {
+    throw new BadRequestError(
+      `Could not find columns for required fields: ${missingRequired.join(', ')}. Provide a mapping or template.`
+    );
+  }
+};
+
+/**
+ * Turn a raw file record into lead fields
+ * @param {Object} record - Record keyed by file header
+ * @param {Object} mapping - `{ leadField: header }`
+ * @returns {Object} - Record keyed by lead field
+ */
+export const applyMapping = (record, mapping) => {
+  const mapped = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    const value = record[header];
+    mapped[field] = value === undefined || value === null ? '' : String(value).trim();
+  });
+  return mapped;
+};
+
+export default {
+  LEAD_IMPORT_FIELDS,
+  REQUIRED_IMPORT_FIELDS,
+  HEADER_SYNONYMS,
+  detectMapping,
+  resolveMapping,
+  assertCompleteMapping,
+  applyMapping,
+};
@@ -0,0 +1,27 @@
+import { isRetryableStatus } from '../ai/errors.js';
+
+/**
+ * Error raised by a CRM adapter call
+ */
+export class CrmError extends Error {
+  /**
+   * Create CRM error
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - HTTP status returned by the CRM, if any
+   * @param {boolean} [options.retryable] - Whether the push may succeed if retried
+   * @param {number} [options.retryAfterMs] - CRM-requested delay before retrying
+   */
+  constructor(message, { status, retryable, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'CrmError';
+    this.status = status;
+    this.retryable = retryable ?? isRetryableStatus(status);
+    this.retryAfterMs = retryAfterMs;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+export default {
+  CrmError,
+};
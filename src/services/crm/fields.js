@@ -0,0 +1,56 @@
+import { getIntentBand } from '../../models/LeadScore.js';
+
+const splitName = (name = '') => {
+  const parts = name.trim().split(/\s+/);
+  // A single name goes in the last name, which CRMs usually require
+  return parts.length > 1
+    ? { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] }
+    : { first: '', last: parts[0] || '' };
+};
+
+const formatReasons = (reasons = []) => reasons.map((r) => `${r.attribute}: ${r.detail}`).join(' | ');
+
+// Values a field mapping can send to the CRM, read from a scored lead: `lead`, `offer` and `score`
+export const CRM_SOURCE_FIELDS = {
+  lead_id: ({ lead }) => String(lead._id),
+  name: ({ lead }) => lead.name,
+  first_name: ({ lead }) => splitName(lead.name).first,
+  last_name: ({ lead }) => splitName(lead.name).last,
+  email: ({ lead }) => lead.email,
+  company: ({ lead }) => lead.company || lead.enrichment?.company_name || '',
+  role: ({ lead }) => lead.role,
+  industry: ({ lead }) => lead.industry,
+  linkedin: ({ lead }) => lead.linkedin || '',
+  phone: ({ lead }) => lead.phone || '',
+  tags: ({ lead }) => (lead.tags || []).join(';'),
+  assigned_to: ({ lead }) => lead.assigned_to || '',
+  company_domain: ({ lead }) => (lead.enrichment?.free_mail ? '' : lead.enrichment?.domain || ''),
+  company_size: ({ lead }) => lead.enrichment?.company_size || '',
+  country: ({ lead }) => lead.enrichment?.country || '',
+  sector: ({ lead }) => lead.enrichment?.sector || '',
+  offer: ({ offer }) => offer.name,
+  score: ({ score }) => score.score,
+  rule_score: ({ score }) => score.rule_score ?? null,
+  intent_band: ({ score }) => getIntentBand(score.score),
+  ai_intent: ({ score }) => score.ai_intent || '',
+  ai_confidence: ({ score }) => score.ai_confidence ?? null,
+  // The model's reasons when it gave any, else the rule breakdown
+  reasoning: ({ score }) => (score.ai_reasons?.length ? formatReasons(score.ai_reasons) : score.score_reason || ''),
+  scored_at: ({ score }) => (score.processed_at ? new Date(score.processed_at).toISOString() : null),
+};
+
+/**
+ * Build the CRM record for a scored lead from a field mapping
+ * @param {Map|Object} mapping - CRM field -> key of CRM_SOURCE_FIELDS
+ * @param {Object} source - `lead`, `offer` and `score` (LeadScore)
+ * @returns {Object} - CRM field -> value
+ */
+export const mapCrmFields = (mapping, source) => {
+  const entries = mapping instanceof Map ? [...mapping.entries()] : Object.entries(mapping);
+  return Object.fromEntries(entries.map(([crmField, sourceField]) => [crmField, CRM_SOURCE_FIELDS[sourceField](source)]));
+};
+
+export default {
+  CRM_SOURCE_FIELDS,
+  mapCrmFields,
+};
@@ -0,0 +1,101 @@
+import crmConfig from '../../config/crm.js';
+import { parseRetryAfter } from '../ai/errors.js';
+import { CrmError } from './errors.js';
+import { assertPublicUrl, fetchPublicUrl } from '../../utils/publicUrl.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Whether a URL's host is listed in CRM_ALLOWED_PRIVATE_HOSTS
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+const isAllowedPrivateHost = (value) => {
+  try {
+    const host = new URL(value).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    return crmConfig.allowedPrivateHosts.includes(host);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check that a CRM URL points to a public host, unless its host is in CRM_ALLOWED_PRIVATE_HOSTS
+ * @param {string} value - URL
+ * @returns {Promise<void>}
+ * @throws {Error} - If the URL is invalid or reaches a non-public address
+ */
+export const assertCrmUrl = async (value) => {
+  if (!isAllowedPrivateHost(value)) {
+    await assertPublicUrl(value);
+  }
+};
+
+/**
+ * Send a JSON request to a CRM API
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON body
+ * @param {string} [options.token] - Bearer token
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Promise<Object|null>} - Parsed response, or null for an empty one
+ */
+export const requestJSON = async (url, { method, body, token, timeoutMs }) => {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  try {
+    await assertCrmUrl(url);
+  } catch (error) {
+    throw new CrmError(`CRM request refused: ${error.message}`, { retryable: false });
+  }
+
+  // Allowed private hosts skip the public address check on connect too
+  const send = isAllowedPrivateHost(url) ? fetch : fetchPublicUrl;
+
+  let response;
+  try {
+    response = await send(url, {
+      method,
+      headers,
+      body: JSON.stringify(body),
+      // A redirect could lead to a host the check above would refuse
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    if (error.cause?.code === 'ENONPUBLIC') {
+      throw new CrmError(`CRM request refused: ${error.cause.message}`, { retryable: false });
+    }
+    // Network failure or timeout
+    throw new CrmError(`CRM request failed: ${error.message}`);
+  }
+
+  const text = await response.text().catch(() => '');
+
+  if (!response.ok) {
+    // The body stays in the server log; sync errors are returned by the API
+    logger.debug(`CRM request to ${new URL(url).host} failed with status ${response.status}: ${text.slice(0, 300)}`);
+    throw new CrmError(
+      `CRM request failed with status ${response.status}`,
+      {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      }
+    );
+  }
+
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new CrmError('CRM response was not valid JSON', { retryable: false });
+  }
+};
+
+export default requestJSON;
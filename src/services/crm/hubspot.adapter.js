@@ -0,0 +1,44 @@
+import { CrmError } from './errors.js';
+import { requestJSON } from './http.js';
+
+// Standard contact properties, plus score properties you create in HubSpot
+export const HUBSPOT_DEFAULT_MAPPING = {
+  email: 'email',
+  firstname: 'first_name',
+  lastname: 'last_name',
+  company: 'company',
+  jobtitle: 'role',
+  phone: 'phone',
+  lead_score: 'score',
+  lead_intent_band: 'intent_band',
+  lead_score_reasoning: 'reasoning',
+};
+
+/**
+ * Create an adapter that upserts HubSpot contacts by email
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API base URL
+ * @param {string} options.token - Private app access token
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} - CRM adapter
+ */
+export const createHubSpotAdapter = ({ baseUrl, token, timeoutMs }) => ({
+  name: 'hubspot',
+  async push({ lead, fields }) {
+    const data = await requestJSON(`${baseUrl}/crm/v3/objects/contacts/batch/upsert`, {
+      method: 'POST',
+      token,
+      timeoutMs,
+      body: { inputs: [{ idProperty: 'email', id: lead.email, properties: fields }] },
+    });
+
+    const externalId = data?.results?.[0]?.id;
+    if (!externalId) {
+      throw new CrmError('HubSpot response did not contain a contact id', { retryable: false });
+    }
+
+    return { externalId: String(externalId) };
+  },
+});
+
+export default createHubSpotAdapter;
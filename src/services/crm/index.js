@@ -0,0 +1,54 @@
+import path from 'path';
+import crmConfig from '../../config/crm.js';
+import { createHubSpotAdapter, HUBSPOT_DEFAULT_MAPPING } from './hubspot.adapter.js';
+import { createSalesforceAdapter, SALESFORCE_DEFAULT_MAPPING } from './salesforce.adapter.js';
+import { createMockAdapter, MOCK_DEFAULT_MAPPING } from './mock.adapter.js';
+
+const factories = {
+  hubspot: ({ settings, access_token: token }) => createHubSpotAdapter({
+    baseUrl: (settings?.base_url || crmConfig.hubspot.defaultBaseUrl).replace(/\/+$/, ''),
+    token,
+    timeoutMs: crmConfig.timeoutMs,
+  }),
+  salesforce: ({ settings, access_token: token }) => createSalesforceAdapter({
+    instanceUrl: settings.base_url.replace(/\/+$/, ''),
+    token,
+    apiVersion: settings.api_version || crmConfig.salesforce.apiVersion,
+    object: settings.object || crmConfig.salesforce.defaultObject,
+    externalIdField: settings.external_id_field || crmConfig.salesforce.defaultExternalIdField,
+    timeoutMs: crmConfig.timeoutMs,
+  }),
+  mock: ({ settings, access_token: token }) => createMockAdapter({
+    url: settings?.base_url,
+    token,
+    // Only a file name is accepted, so a connection cannot write outside the mock directory
+    filePath: path.join(crmConfig.mock.dir, path.basename(settings?.file || crmConfig.mock.defaultFile)),
+    timeoutMs: crmConfig.timeoutMs,
+  }),
+};
+
+export const CRM_ADAPTERS = Object.keys(factories);
+
+// Field mapping used by a connection created without one: CRM field -> source field
+export const DEFAULT_CRM_MAPPINGS = {
+  hubspot: HUBSPOT_DEFAULT_MAPPING,
+  salesforce: SALESFORCE_DEFAULT_MAPPING,
+  mock: MOCK_DEFAULT_MAPPING,
+};
+
+/**
+ * Create the adapter for a CRM connection
+ * @param {Object} connection - CrmConnection document, with its access token selected
+ * @returns {Object} - Adapter with `name` and `push({ lead, fields, externalId })`
+ */
+export const createCrmAdapter = (connection) => {
+  const factory = factories[connection.adapter];
+  if (!factory) {
+    throw new Error(
+      `Unknown CRM adapter "${connection.adapter}". Expected one of: ${CRM_ADAPTERS.join(', ')}`
+    );
+  }
+  return factory(connection);
+};
+
+export default createCrmAdapter;
@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { requestJSON } from './http.js';
+
+// Sends every source field under its own name
+export const MOCK_DEFAULT_MAPPING = {
+  lead_id: 'lead_id',
+  name: 'name',
+  email: 'email',
+  company: 'company',
+  role: 'role',
+  industry: 'industry',
+  offer: 'offer',
+  score: 'score',
+  intent_band: 'intent_band',
+  reasoning: 'reasoning',
+};
+
+/**
+ * Create a stand-in CRM for development and testing. It POSTs each record as JSON
+ * to `url` when one is set, otherwise appends it as a line to an NDJSON file.
+ * @param {Object} options - Adapter options
+ * @param {string} [options.url] - Endpoint receiving `{ lead_id, fields }`
+ * @param {string} [options.token] - Bearer token for the endpoint
+ * @param {string} options.filePath - NDJSON file used without a URL
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} - CRM adapter
+ */
+export const createMockAdapter = ({ url, token, filePath, timeoutMs }) => ({
+  name: 'mock',
+  async push({ lead, fields }) {
+    const record = { lead_id: String(lead._id), fields };
+
+    if (url) {
+      const data = await requestJSON(url, { method: 'POST', token, timeoutMs, body: record });
+      return { externalId: data?.id ? String(data.id) : `mock-${lead._id}` };
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${JSON.stringify({ ...record, pushed_at: new Date().toISOString() })}\n`);
+
+    return { externalId: `mock-${lead._id}` };
+  },
+});
+
+export default createMockAdapter;
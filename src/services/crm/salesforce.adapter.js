@@ -0,0 +1,56 @@
+import { requestJSON } from './http.js';
+import { CrmError } from './errors.js';
+
+// sObject and field API names, and REST API versions, as they may appear in a request path
+export const SALESFORCE_API_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+export const SALESFORCE_API_VERSION = /^\d+\.\d+$/;
+
+// Standard Lead fields, plus score fields you create in Salesforce; LastName and Company are required there
+export const SALESFORCE_DEFAULT_MAPPING = {
+  FirstName: 'first_name',
+  LastName: 'last_name',
+  Email: 'email',
+  Company: 'company',
+  Title: 'role',
+  Industry: 'industry',
+  Phone: 'phone',
+  Lead_Score__c: 'score',
+  Lead_Intent_Band__c: 'intent_band',
+  Lead_Score_Reasoning__c: 'reasoning',
+};
+
+/**
+ * Create an adapter that upserts Salesforce records by an external id field holding the lead id
+ * @param {Object} options - Adapter options
+ * @param {string} options.instanceUrl - Org URL, e.g. https://acme.my.salesforce.com
+ * @param {string} options.token - OAuth access token
+ * @param {string} options.apiVersion - REST API version, e.g. 59.0
+ * @param {string} options.object - sObject name, e.g. Lead or Contact
+ * @param {string} options.externalIdField - External id field on that object
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} - CRM adapter
+ */
+export const createSalesforceAdapter = ({ instanceUrl, token, apiVersion, object, externalIdField, timeoutMs }) => ({
+  name: 'salesforce',
+  async push({ lead, fields, externalId }) {
+    // Checked on every push too: a connection saved before validation could hold any value
+    if (!SALESFORCE_API_NAME.test(object) || !SALESFORCE_API_NAME.test(externalIdField)
+      || !SALESFORCE_API_VERSION.test(apiVersion)) {
+      throw new CrmError('Salesforce object, external id field or API version is not valid', { retryable: false });
+    }
+
+    // The external id goes in the URL; Salesforce refuses it in the body
+    const body = { ...fields };
+    delete body[externalIdField];
+
+    const data = await requestJSON(
+      `${instanceUrl}/services/data/v${apiVersion}/sobjects/${encodeURIComponent(object)}/${encodeURIComponent(externalIdField)}/${encodeURIComponent(String(lead._id))}`,
+      { method: 'PATCH', token, timeoutMs, body }
+    );
+
+    // Older API versions answer an update with 204 and no id
+    return { externalId: data?.id ?? externalId ?? null };
+  },
+});
+
+export default createSalesforceAdapter;
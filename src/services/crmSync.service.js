@@ -0,0 +1,253 @@
+import crmConfig from '../config/crm.js';
+import CrmConnection from '../models/CrmConnection.js';
+import CrmSync from '../models/CrmSync.js';
+import Lead from '../models/Lead.js';
+import LeadScore, { HAS_SCORE } from '../models/LeadScore.js';
+import Offer from '../models/Offer.js';
+import { createCrmAdapter } from './crm/index.js';
+import { mapCrmFields } from './crm/fields.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Select the scored leads a sync job pushes
+ * @param {Object} job - CrmSyncJob document
+ * @param {Object} connection - CrmConnection document
+ * @returns {Promise<Object[]>} - `{ lead, offer, score }` per lead
+ */
+export const selectScoresForSync = async (job, connection) => {
+  const match = {
+    workspace: job.workspace,
+    ...HAS_SCORE,
+    score: { $gte: connection.min_score },
+    ...(job.lead_ids?.length && { lead: { $in: job.lead_ids } }),
+  };
+
+  if (job.mode === 'failed') {
+    // Retry each failed lead with the offer it was being pushed for
+    const failedSyncs = await CrmSync.find({
+      connection: connection._id,
+      status: 'failed',
+      ...(job.offer && { offer: job.offer }),
+      ...(job.lead_ids?.length && { lead: { $in: job.lead_ids } }),
+    })
+      .limit(job.limit)
+      .select('lead offer')
+      .lean();
+
+    if (failedSyncs.length === 0) {
+      return [];
+    }
+
+    match.$or = failedSyncs.map(({ lead, offer }) => ({ lead, offer }));
+  } else {
+    match.offer = job.offer;
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $sort: { processed_at: 1 } },
+  ];
+
+  if (job.mode === 'pending') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: CrmSync.collection.name,
+          let: { leadId: '$lead' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$lead', '$$leadId'] }, { $eq: ['$connection', connection._id] }] } } },
+            { $project: { status: 1, offer: 1, score_processed_at: 1 } },
+          ],
+          as: 'sync',
+        },
+      },
+      { $set: { sync: { $first: '$sync' } } },
+      {
+        $match: {
+          $or: [
+            { sync: null },
+            { 'sync.status': 'failed' },
+            { $expr: { $ne: ['$sync.offer', '$offer'] } },
+            { $expr: { $lt: ['$sync.score_processed_at', '$processed_at'] } },
+          ],
+        },
+      },
+      { $project: { sync: 0 } }
+    );
+  }
+
+  pipeline.push({ $limit: job.limit });
+
+  const scores = await LeadScore.aggregate(pipeline);
+
+  const [leads, offers] = await Promise.all([
+    Lead.find({ _id: { $in: scores.map((score) => score.lead) } }).lean(),
+    Offer.find({ _id: { $in: [...new Set(scores.map((score) => String(score.offer)))] } }).select('name').lean(),
+  ]);
+  const leadsById = new Map(leads.map((lead) => [String(lead._id), lead]));
+  const offersById = new Map(offers.map((offer) => [String(offer._id), offer]));
+
+  // A lead deleted since it was scored is skipped
+  return scores
+    .filter((score) => leadsById.has(String(score.lead)) && offersById.has(String(score.offer)))
+    .map((score) => ({
+      lead: leadsById.get(String(score.lead)),
+      offer: offersById.get(String(score.offer)),
+      score,
+    }));
+};
+
+/**
+ * Delay before retrying a push, honouring a CRM's Retry-After
+ * @param {number} retries - Retries made so far
+ * @param {Error} error - Error from the failed attempt
+ * @returns {number} - Delay in milliseconds
+ */
+const retryDelay = (retries, error) => {
+  if (error.retryAfterMs !== undefined) {
+    return Math.min(error.retryAfterMs, crmConfig.retryMaxMs);
+  }
+  return Math.min(crmConfig.retryBaseMs * 2 ** retries, crmConfig.retryMaxMs);
+};
+
+/**
+ * Push one scored lead once and store its sync status. A transient failure is marked
+ * `retrying` and retried in the background, so the job pushing the lead does not wait for it.
+ * @param {Object} adapter - CRM adapter
+ * @param {Object} connection - CrmConnection document
+ * @param {Object} item - `{ lead, offer, score }` from selectScoresForSync
+ * @param {Object} [options] - Options
+ * @param {number} [options.retries=0] - Background retries already made of this push
+ * @returns {Promise<Object>} - The stored CrmSync document
+ */
+export const pushScoredLead = async (adapter, connection, { lead, offer, score }, { retries = 0 } = {}) => {
+  const previous = await CrmSync.findOne({ connection: connection._id, lead: lead._id }).select('external_id').lean();
+  const fields = mapCrmFields(connection.field_mapping, { lead, offer, score });
+
+  let result;
+  let error;
+  try {
+    result = await adapter.push({ lead, fields, externalId: previous?.external_id });
+  } catch (err) {
+    error = err;
+  }
+
+  const now = new Date();
+  const nextAttemptAt = error?.retryable && retries < crmConfig.maxRetries
+    ? new Date(now.getTime() + retryDelay(retries, error))
+    : null;
+
+  let outcome;
+  if (!error) {
+    outcome = {
+      status: 'synced',
+      last_error: null,
+      external_id: result.externalId ?? previous?.external_id,
+      score: score.score,
+      score_processed_at: score.processed_at,
+      synced_at: now,
+    };
+  } else {
+    outcome = { status: nextAttemptAt ? 'retrying' : 'failed', last_error: error.message };
+  }
+
+  const sync = await CrmSync.findOneAndUpdate(
+    { connection: connection._id, lead: lead._id },
+    {
+      $set: {
+        workspace: connection.workspace,
+        offer: offer._id,
+        last_attempt_at: now,
+        retries,
+        next_attempt_at: nextAttemptAt,
+        ...outcome,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (nextAttemptAt) {
+    logger.warn(`CRM push of lead ${lead._id} failed (${error.message}); retry ${retries + 1} at ${nextAttemptAt.toISOString()}`);
+    scheduleCrmRetry(sync._id, nextAttemptAt);
+  }
+
+  return sync;
+};
+
+// Retries due now but waiting for a free slot
+const due = [];
+let inFlight = 0;
+
+/**
+ * Retry a push marked `retrying`, with the lead's current score for the same offer
+ * @param {string} syncId - CrmSync id
+ */
+const retryPush = async (syncId) => {
+  // Claim the retry so a restart or a duplicate timer cannot push it twice
+  const sync = await CrmSync.findOneAndUpdate(
+    { _id: syncId, status: 'retrying', next_attempt_at: { $ne: null } },
+    { $set: { next_attempt_at: null } },
+    { new: true }
+  );
+
+  if (!sync) {
+    return;
+  }
+
+  const fail = (message) => CrmSync.updateOne({ _id: sync._id }, { $set: { status: 'failed', last_error: message } });
+
+  const connection = await CrmConnection.findOne({ _id: sync.connection, workspace: sync.workspace })
+    .select('+access_token');
+  if (!connection?.active) {
+    await fail(connection ? 'CRM connection is disabled' : 'CRM connection not found');
+    return;
+  }
+
+  const [lead, offer, score] = await Promise.all([
+    Lead.findById(sync.lead).lean(),
+    Offer.findById(sync.offer).select('name').lean(),
+    LeadScore.findOne({ lead: sync.lead, offer: sync.offer, ...HAS_SCORE }).lean(),
+  ]);
+  if (!lead || !offer || !score) {
+    await fail('The lead or its score no longer exists');
+    return;
+  }
+
+  await pushScoredLead(createCrmAdapter(connection), connection, { lead, offer, score }, { retries: sync.retries + 1 });
+};
+
+const drain = () => {
+  while (inFlight < crmConfig.concurrency && due.length > 0) {
+    const syncId = due.shift();
+    inFlight++;
+    retryPush(syncId)
+      .catch((error) => logger.error(`CRM retry of sync ${syncId} crashed: ${error.message}`))
+      .finally(() => {
+        inFlight--;
+        drain();
+      });
+  }
+};
+
+/**
+ * Retry a push at a given time. Retries run apart from the job queue, so waiting out a
+ * CRM's rate limit does not hold up scoring, imports or other syncs.
+ * @param {string|Object} syncId - CrmSync id
+ * @param {Date} [at] - When to retry; now by default
+ */
+export const scheduleCrmRetry = (syncId, at = new Date()) => {
+  const timer = setTimeout(() => {
+    due.push(String(syncId));
+    drain();
+  }, Math.max(0, new Date(at).getTime() - Date.now()));
+
+  // Pending retries must not keep the process alive; they are resumed from MongoDB
+  timer.unref();
+};
+
+export default {
+  selectScoresForSync,
+  pushScoredLead,
+  scheduleCrmRetry,
+};
@@ -0,0 +1,352 @@
+import Lead from '../models/Lead.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import { getEmailDomain, getRegistrableDomain, isFreeMailDomain } from './enrichment/domains.js';
+import { getLinkedInSlug } from './normalization.service.js';
+
+// Pairs below this confidence are not reported
+export const DUPLICATE_MIN_CONFIDENCE = parseFloat(process.env.DUPLICATE_MIN_CONFIDENCE) || 0.6;
+
+// Name similarity from which two names count as the same person
+export const NAME_MATCH_THRESHOLD = 0.88;
+
+// Each lead is compared with at most this many leads of a block, so a common surname
+// cannot make a scan quadratic
+const MAX_BLOCK_COMPARISONS = 200;
+
+// Scan progress is saved every this many leads
+const PROGRESS_INTERVAL = 1000;
+
+// Pairs upserted per bulkWrite
+const WRITE_CHUNK_SIZE = 500;
+
+// Similarity given to a first name written as its initial ("J. Smith" for "John Smith")
+const INITIAL_MATCH_SCORE = 0.85;
+
+// How much each signal on its own says the leads are the same person; combined as independent
+// evidence. Company, domain and phone only count alongside a matching name: colleagues share them.
+const SIGNAL_WEIGHTS = {
+  linkedin: 0.95,
+  phone: 0.7,
+  domain: 0.6,
+  company: 0.5,
+  name: 0.5,
+};
+
+// Legal-form words ignored when comparing company names
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'plc', 'pty', 'oy', 'ab',
+]);
+
+/**
+ * Jaro-Winkler similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 0 (nothing in common) to 1 (identical)
+ */
+export const jaroWinkler = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = true;
+        matchedB[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (matchedA[i]) {
+      while (!matchedB[j]) {
+        j++;
+      }
+      if (a[i] !== b[j]) {
+        transpositions++;
+      }
+      j++;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Lowercase words of a name or company, without accents or punctuation
+ * @param {string} value - Name
+ * @returns {string[]}
+ */
+const toTokens = (value) =>
+  (value || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Given names compare as equal when one is the other's initial
+const givenNameSimilarity = (a, b) => {
+  if (a.length === 1 || b.length === 1) {
+    return a[0] === b[0] ? INITIAL_MATCH_SCORE : 0;
+  }
+  return jaroWinkler(a, b);
+};
+
+// Surname and given name, weighted equally; middle names are ignored
+const orderedNameSimilarity = (a, b) =>
+  0.5 * jaroWinkler(a[a.length - 1], b[b.length - 1]) + 0.5 * givenNameSimilarity(a[0], b[0]);
+
+/**
+ * Similarity of two person names, tolerating initials, typos, middle names and
+ * "Surname, Given" order
+ * @param {string|string[]} a - Name, or its tokens
+ * @param {string|string[]} b - Name, or its tokens
+ * @returns {number} - 0 to 1
+ */
+export const nameSimilarity = (a, b) => {
+  const tokensA = Array.isArray(a) ? a : toTokens(a);
+  const tokensB = Array.isArray(b) ? b : toTokens(b);
+
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return 0;
+  }
+  if (tokensA.length === 1 || tokensB.length === 1) {
+    return jaroWinkler(tokensA.join(' '), tokensB.join(' '));
+  }
+
+  return Math.max(
+    orderedNameSimilarity(tokensA, tokensB),
+    orderedNameSimilarity(tokensA, [...tokensB].reverse())
+  );
+};
+
+/**
+ * Comparable company name, without legal forms such as Inc. or GmbH
+ * @param {string} company - Company name
+ * @returns {string} - Empty when nothing is left
+ */
+export const normalizeCompany = (company) =>
+  toTokens(company).filter((token) => !COMPANY_SUFFIXES.has(token)).join(' ');
+
+/**
+ * Reduce a lead to the values duplicate detection compares
+ * @param {Object} lead - Lead document or plain object
+ * @returns {Object} - `id`, name `tokens`, LinkedIn `slug`, company email `domain`, `company` and `phone`
+ */
+export const toDuplicateProfile = (lead) => {
+  const domain = lead.enrichment?.domain || getEmailDomain(lead.email);
+
+  return {
+    id: lead._id,
+    name: lead.name,
+    tokens: toTokens(lead.name),
+    slug: getLinkedInSlug(lead.linkedin),
+    // A shared gmail.com says nothing about two people
+    domain: domain && !isFreeMailDomain(domain) ? getRegistrableDomain(domain) : null,
+    company: normalizeCompany(lead.company) || null,
+    phone: lead.phone || null,
+  };
+};
+
+/**
+ * Compare two leads for duplication
+ * @param {Object} a - Profile from toDuplicateProfile
+ * @param {Object} b - Profile from toDuplicateProfile
+ * @returns {{ confidence: number, signals: Object[] }|null} - Confidence 0-1 and the signals that
+ *   matched, or null when nothing links the leads
+ */
+export const compareProfiles = (a, b) => {
+  // Two different profiles are two different people, whatever their names
+  if (a.slug && b.slug && a.slug !== b.slug) {
+    return null;
+  }
+
+  const signals = [];
+
+  if (a.slug && a.slug === b.slug) {
+    signals.push({ signal: 'linkedin', score: 1, detail: `Same LinkedIn profile: ${a.slug}` });
+  }
+
+  const name = nameSimilarity(a.tokens, b.tokens);
+  if (name >= NAME_MATCH_THRESHOLD) {
+    signals.push({ signal: 'name', score: Number(name.toFixed(3)), detail: `${a.name} ~ ${b.name}` });
+
+    if (a.domain && a.domain === b.domain) {
+      signals.push({ signal: 'domain', score: 1, detail: `Same email domain: ${a.domain}` });
+    }
+    if (a.company && a.company === b.company) {
+      signals.push({ signal: 'company', score: 1, detail: `Same company: ${a.company}` });
+    }
+    if (a.phone && a.phone === b.phone) {
+      signals.push({ signal: 'phone', score: 1, detail: `Same phone: ${a.phone}` });
+    }
+  }
+
+  if (signals.length === 0) {
+    return null;
+  }
+
+  const unlikely = signals.reduce((product, { signal, score }) => product * (1 - SIGNAL_WEIGHTS[signal] * score), 1);
+  return { confidence: Number((1 - unlikely).toFixed(3)), signals };
+};
+
+/**
+ * Blocking keys of a profile; only leads sharing a key are compared
+ * @param {Object} profile - Profile from toDuplicateProfile
+ * @returns {string[]}
+ */
+const blockingKeys = ({ tokens, slug }) => {
+  const keys = slug ? [`li:${slug}`] : [];
+  if (tokens.length === 1) {
+    keys.push(`nm:${tokens[0]}`);
+  } else if (tokens.length > 1) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    // Surname plus initial, in both name orders
+    keys.push(`nm:${last}|${first[0]}`, `nm:${first}|${last[0]}`);
+  }
+  return keys;
+};
+
+/**
+ * Find likely duplicate pairs among profiles
+ * @param {Object[]} profiles - Profiles from toDuplicateProfile
+ * @param {Object} [options] - Options
+ * @param {number} [options.minConfidence=DUPLICATE_MIN_CONFIDENCE] - Lowest confidence reported
+ * @param {Function} [options.onProgress] - Called with the number of leads compared so far
+ * @returns {Promise<Object[]>} - `{ lead_a, lead_b, confidence, signals }`, lead_a holding the lower id
+ */
+export const findDuplicatePairs = async (
+  profiles,
+  { minConfidence = DUPLICATE_MIN_CONFIDENCE, onProgress } = {}
+) => {
+  const blocks = new Map();
+  // Each profile's blocks and its position in them
+  const memberships = profiles.map((profile, index) =>
+    blockingKeys(profile).map((key) => {
+      if (!blocks.has(key)) {
+        blocks.set(key, []);
+      }
+      const block = blocks.get(key);
+      block.push(index);
+      return { block, position: block.length - 1 };
+    })
+  );
+
+  const pairs = new Map();
+
+  for (let index = 0; index < profiles.length; index++) {
+    for (const { block, position } of memberships[index]) {
+      const end = Math.min(block.length, position + 1 + MAX_BLOCK_COMPARISONS);
+
+      for (let k = position + 1; k < end; k++) {
+        const [a, b] = [profiles[index], profiles[block[k]]].sort((x, y) => (String(x.id) < String(y.id) ? -1 : 1));
+        const pairKey = `${a.id}:${b.id}`;
+        if (pairs.has(pairKey)) {
+          continue;
+        }
+
+        const match = compareProfiles(a, b);
+        // Remember misses too, so a pair sharing several blocks is compared once
+        pairs.set(pairKey, match && match.confidence >= minConfidence ? { lead_a: a.id, lead_b: b.id, ...match } : null);
+      }
+    }
+
+    if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+      await onProgress(index + 1);
+    }
+  }
+
+  return [...pairs.values()].filter(Boolean);
+};
+
+/**
+ * Scan a workspace's leads for duplicates and store the pairs found. Pairs reviewed as
+ * dismissed stay dismissed; open pairs the scan no longer finds are removed.
+ * @param {Object} workspace - Workspace id
+ * @param {Object} [options] - Options
+ * @param {Object} [options.scan] - DuplicateScan id recorded on the pairs
+ * @param {number} [options.minConfidence] - Lowest confidence reported
+ * @param {Function} [options.onProgress] - Called with `{ total, processed }` as the scan advances
+ * @returns {Promise<{ total: number, processed: number, pairsFound: number }>}
+ */
+export const scanWorkspaceForDuplicates = async (workspace, { scan, minConfidence, onProgress } = {}) => {
+  const profiles = [];
+  const cursor = Lead.find({ workspace })
+    .select('_id name email company linkedin phone enrichment.domain')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const lead of cursor) {
+    profiles.push(toDuplicateProfile(lead));
+  }
+
+  const total = profiles.length;
+  if (onProgress) {
+    await onProgress({ total, processed: 0 });
+  }
+
+  const pairs = await findDuplicatePairs(profiles, {
+    minConfidence,
+    onProgress: onProgress && ((processed) => onProgress({ total, processed })),
+  });
+
+  for (let i = 0; i < pairs.length; i += WRITE_CHUNK_SIZE) {
+    await LeadDuplicate.bulkWrite(
+      pairs.slice(i, i + WRITE_CHUNK_SIZE).map(({ lead_a, lead_b, confidence, signals }) => ({
+        updateOne: {
+          filter: { workspace, lead_a, lead_b },
+          update: {
+            $set: { confidence, signals, scan },
+            $setOnInsert: { status: 'open' },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  // Leads edited or deleted since the last scan
+  await LeadDuplicate.deleteMany({ workspace, status: 'open', scan: { $ne: scan } });
+
+  return { total, processed: total, pairsFound: pairs.length };
+};
+
+export default {
+  DUPLICATE_MIN_CONFIDENCE,
+  NAME_MATCH_THRESHOLD,
+  jaroWinkler,
+  nameSimilarity,
+  normalizeCompany,
+  toDuplicateProfile,
+  compareProfiles,
+  findDuplicatePairs,
+  scanWorkspaceForDuplicates,
+};
@@ -0,0 +1,95 @@
+import Lead from '../models/Lead.js';
+import { getFirmographicsSource } from './enrichment/index.js';
+import {
+  getEmailDomain,
+  getRegistrableDomain,
+  companyNameFromDomain,
+  isFreeMailDomain,
+} from './enrichment/domains.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Look up a domain's firmographics, trying the registrable domain when the full one misses
+ * @param {string} domain - Email domain
+ * @returns {Promise<Object|null>} - Firmographics, or null when unknown or the source failed
+ */
+const lookupFirmographics = async (domain) => {
+  try {
+    const source = getFirmographicsSource();
+    const registrable = getRegistrableDomain(domain);
+    const record = await source.lookup(domain)
+      || (registrable !== domain ? await source.lookup(registrable) : null);
+    return record ? { ...record, source: source.name } : null;
+  } catch (error) {
+    // Enrichment is best effort; scoring goes ahead without firmographics
+    logger.error(`Firmographics lookup failed for ${domain}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Build a lead's enrichment from its email address
+ * @param {Object} lead - Lead with an email
+ * @returns {Promise<Object|null>} - Enrichment, or null when the email has no usable domain
+ */
+export const buildEnrichment = async (lead) => {
+  const domain = getEmailDomain(lead.email);
+  if (!domain) {
+    return null;
+  }
+
+  // A free-mail address says nothing about the company
+  const freeMail = isFreeMailDomain(domain);
+  const firmographics = freeMail ? null : await lookupFirmographics(domain);
+
+  return {
+    domain,
+    free_mail: freeMail,
+    company_name: freeMail ? '' : firmographics?.company || companyNameFromDomain(domain),
+    company_size: firmographics?.size || '',
+    country: firmographics?.country || '',
+    sector: firmographics?.sector || '',
+    source: firmographics?.source || 'domain',
+    enriched_at: new Date(),
+  };
+};
+
+/**
+ * Whether an enrichment differs in anything that feeds into scoring
+ * @param {Object} [before] - Previous enrichment
+ * @param {Object} [after] - New enrichment
+ * @returns {boolean}
+ */
+export const enrichmentChanged = (before, after) =>
+  ['domain', 'free_mail', 'company_name', 'company_size', 'country', 'sector']
+    .some((field) => (before?.[field] ?? null) !== (after?.[field] ?? null));
+
+/**
+ * Enrich a lead and store the result on it
+ * @param {Object} lead - Lead document or plain object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Enrich again even if the stored enrichment matches the email
+ * @returns {Promise<Object>} - The lead, with `enrichment` set
+ */
+export const enrichLead = async (lead, { force = false } = {}) => {
+  // Enrichment follows the email; an edited address gets a fresh one
+  if (!force && lead.enrichment?.enriched_at && lead.enrichment.domain === getEmailDomain(lead.email)) {
+    return lead;
+  }
+
+  const enrichment = await buildEnrichment(lead);
+  if (!enrichment) {
+    return lead;
+  }
+
+  await Lead.updateOne({ _id: lead._id }, { $set: { enrichment } });
+  lead.enrichment = enrichment;
+
+  return lead;
+};
+
+export default {
+  buildEnrichment,
+  enrichmentChanged,
+  enrichLead,
+};
@@ -0,0 +1,67 @@
+import enrichmentConfig from '../../config/enrichment.js';
+
+// Consumer mailbox providers; an address here says nothing about the lead's company
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'yahoo.co.in',
+  'ymail.com', 'rocketmail.com', 'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'hotmail.de',
+  'outlook.com', 'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com',
+  'proton.me', 'protonmail.com', 'pm.me', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 'mail.com',
+  'zoho.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', '163.com', '126.com',
+  'rediffmail.com', 'fastmail.com', 'hey.com', 'tutanota.com', 'libero.it', 'orange.fr', 'free.fr',
+  ...enrichmentConfig.extraFreeMailDomains,
+]);
+
+// Second-level suffixes under which the company name is the third label from the right
+const MULTI_PART_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'co.jp', 'co.in', 'co.nz', 'co.za', 'co.kr', 'co.il',
+  'com.au', 'net.au', 'org.au', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.sg', 'com.tr', 'com.hk',
+]);
+
+/**
+ * Domain part of an email address
+ * @param {string} email - Email address
+ * @returns {string|null} - Lowercase domain, or null for an invalid address
+ */
+export const getEmailDomain = (email) => {
+  const at = typeof email === 'string' ? email.lastIndexOf('@') : -1;
+  const domain = at > 0 ? email.slice(at + 1).trim().toLowerCase() : '';
+  return domain.includes('.') ? domain : null;
+};
+
+/**
+ * Registrable domain, without subdomains such as mail. or eu.
+ * @param {string} domain - Domain
+ * @returns {string} - e.g. acme.co.uk for mail.acme.co.uk
+ */
+export const getRegistrableDomain = (domain) => {
+  const labels = domain.split('.');
+  const suffixLength = MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join('.');
+};
+
+/**
+ * Guess a company name from its domain
+ * @param {string} domain - Domain
+ * @returns {string} - e.g. Acme Corp for acme-corp.com
+ */
+export const companyNameFromDomain = (domain) =>
+  getRegistrableDomain(domain)
+    .split('.')[0]
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+/**
+ * Whether a domain belongs to a consumer mailbox provider
+ * @param {string} domain - Domain
+ * @returns {boolean}
+ */
+export const isFreeMailDomain = (domain) => FREE_MAIL_DOMAINS.has(domain);
+
+export default {
+  getEmailDomain,
+  getRegistrableDomain,
+  companyNameFromDomain,
+  isFreeMailDomain,
+};
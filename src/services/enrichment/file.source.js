@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import logger from '../../utils/logger.js';
+
+// How often lookups check the dataset file for changes
+const STAT_INTERVAL_MS = 10 * 1000;
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Read a firmographics dataset: a JSON array, a JSON object keyed by domain, or a CSV with headers
+ * @param {string} filePath - Dataset path
+ * @returns {Promise<Map>} - Domain -> firmographics
+ */
+const loadDataset = async (filePath) => {
+  const text = await fs.readFile(filePath, 'utf8');
+
+  let records;
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    records = parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  } else {
+    const data = JSON.parse(text);
+    records = Array.isArray(data)
+      ? data
+      : Object.entries(data).map(([domain, record]) => ({ ...record, domain }));
+  }
+
+  const dataset = new Map();
+  for (const record of records) {
+    const domain = clean(record.domain).toLowerCase();
+    if (domain) {
+      dataset.set(domain, {
+        company: clean(record.company || record.name),
+        size: clean(record.size || record.employees),
+        country: clean(record.country),
+        sector: clean(record.sector || record.industry),
+      });
+    }
+  }
+
+  return dataset;
+};
+
+/**
+ * Create a firmographics source backed by a local dataset file, read on first lookup and read
+ * again whenever the file's modification time changes
+ * @param {Object} options - Source options
+ * @param {string} [options.filePath] - Dataset path; without one every lookup misses
+ * @returns {Object} - Firmographics source
+ */
+export const createFileSource = ({ filePath }) => {
+  let dataset = null;
+  let loadedMtime = null;
+  let checkedAt = 0;
+  let reported = false;
+
+  // Warn once per problem rather than once per lead looked up
+  const report = (message) => {
+    if (!reported) {
+      logger.warn(message);
+      reported = true;
+    }
+  };
+
+  return {
+    name: filePath ? `file:${path.basename(filePath)}` : 'none',
+    async lookup(domain) {
+      if (!filePath) {
+        return null;
+      }
+
+      // An updated dataset replaces the cached one without a restart
+      if (Date.now() - checkedAt >= STAT_INTERVAL_MS) {
+        checkedAt = Date.now();
+        let mtimeMs = null;
+        let statError = null;
+        try {
+          ({ mtimeMs } = await fs.stat(filePath));
+        } catch (error) {
+          statError = error;
+        }
+        if (mtimeMs !== loadedMtime) {
+          loadedMtime = mtimeMs;
+          dataset = null;
+          reported = false;
+        }
+        if (statError) {
+          report(`Firmographics dataset ${filePath} cannot be read (${statError.code || statError.message}); enriching from the domain only`);
+        }
+      }
+
+      if (loadedMtime === null) {
+        return null;
+      }
+
+      // A dataset that fails to load misses every lookup until the file changes
+      dataset ??= loadDataset(filePath).catch((error) => {
+        report(`Firmographics dataset ${filePath} could not be loaded: ${error.message}`);
+        return new Map();
+      });
+      return (await dataset).get(domain) || null;
+    },
+  };
+};
+
+export default createFileSource;
@@ -0,0 +1,47 @@
+import fs from 'fs';
+import enrichmentConfig from '../../config/enrichment.js';
+import { createFileSource } from './file.source.js';
+import logger from '../../utils/logger.js';
+
+const factories = {
+  file: () => createFileSource({ filePath: enrichmentConfig.datasetPath }),
+  none: () => createFileSource({}),
+};
+
+export const ENRICHMENT_SOURCES = Object.keys(factories);
+
+let source = null;
+
+/**
+ * Get the configured firmographics source, created on first use
+ * @returns {Object} - Source with `name` and `lookup(domain)`, resolving to
+ *   `{ company, size, country, sector }` or null
+ */
+export const getFirmographicsSource = () => {
+  if (!source) {
+    const factory = factories[enrichmentConfig.source];
+    if (!factory) {
+      throw new Error(
+        `Unknown enrichment source "${enrichmentConfig.source}". Expected one of: ${ENRICHMENT_SOURCES.join(', ')}`
+      );
+    }
+    source = factory();
+  }
+  return source;
+};
+
+/**
+ * Check the enrichment configuration at startup, so a bad source fails once rather than on every
+ * lead scored. A dataset file that does not exist yet only warns; it is picked up once it appears.
+ * @throws {Error} - If ENRICHMENT_SOURCE is not a known source
+ */
+export const checkEnrichmentConfig = () => {
+  getFirmographicsSource();
+
+  const { source: name, datasetPath } = enrichmentConfig;
+  if (name === 'file' && datasetPath && !fs.existsSync(datasetPath)) {
+    logger.warn(`Firmographics dataset ${datasetPath} not found; leads are enriched from their email domain only`);
+  }
+};
+
+export default getFirmographicsSource;
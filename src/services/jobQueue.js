@@ -0,0 +1,63 @@
+import logger from '../utils/logger.js';
+
+/**
+ * In-process job queue.
+ *
+ * A local stand-in for a real queue backend: job state lives in MongoDB and
+ * this queue only holds the ids of jobs waiting to run in this process. Jobs
+ * run one at a time, in the order they were enqueued. Workers resume unfinished
+ * jobs from MongoDB on startup, so queued work survives a restart.
+ */
+
+const handlers = new Map();
+const pending = [];
+let draining = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function receiving the job id
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+const drain = async () => {
+  if (draining) {
+    return;
+  }
+  draining = true;
+
+  while (pending.length > 0) {
+    const { type, jobId } = pending.shift();
+    const handler = handlers.get(type);
+
+    if (!handler) {
+      logger.error(`No handler registered for job type "${type}"`);
+      continue;
+    }
+
+    try {
+      await handler(jobId);
+    } catch (error) {
+      logger.error(`Job ${type}:${jobId} crashed: ${error.message}`, { error });
+    }
+  }
+
+  draining = false;
+};
+
+/**
+ * Queue a job to run in the background
+ * @param {string} type - Job type
+ * @param {string|Object} jobId - Job document id
+ */
+export const enqueueJob = (type, jobId) => {
+  pending.push({ type, jobId: String(jobId) });
+  setImmediate(drain);
+};
+
+export default {
+  registerJobHandler,
+  enqueueJob,
+};
@@ -0,0 +1,56 @@
+import LeadHistory from '../models/LeadHistory.js';
+
+// Lead fields read by the rule scorer and sent in the AI prompt; the email's domain drives enrichment
+const SCORED_FIELDS = ['name', 'email', 'role', 'company', 'industry', 'linkedin'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * List the fields whose value differs between two versions of a lead
+ * @param {Object} before - Lead before the change
+ * @param {Object} after - Lead after the change, or just the changed fields
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object[]} - `{ field, old_value, new_value }` per changed field
+ */
+export const diffLead = (before, after, fields) =>
+  fields
+    .filter((field) => after[field] !== undefined && (before[field] ?? null) !== (after[field] ?? null))
+    .map((field) => ({ field, old_value: before[field] ?? null, new_value: after[field] ?? null }));
+
+/**
+ * Whether changes can move a lead's score: content the scorer reads, or a field going
+ * between empty and filled, which the completeness rule counts
+ * @param {Object[]} changes - Result of diffLead
+ * @returns {boolean}
+ */
+export const affectsScoring = (changes) =>
+  changes.some(
+    ({ field, old_value, new_value }) =>
+      SCORED_FIELDS.includes(field) || isBlank(old_value) !== isBlank(new_value)
+  );
+
+/**
+ * Write changes to the lead history
+ * @param {Object[]} entries - `{ lead, changes }` per changed lead
+ * @param {Object} meta - `workspace` of the leads, `actor` and `source` of the change, and an optional
+ *   transaction `session`
+ * @returns {Promise<number>} - Number of history entries written
+ */
+export const recordLeadChanges = async (entries, { workspace, actor, source = 'edit', session }) => {
+  const changedAt = new Date();
+  const docs = entries.flatMap(({ lead, changes }) =>
+    changes.map((change) => ({ workspace, lead, ...change, actor, source, changed_at: changedAt }))
+  );
+
+  if (docs.length > 0) {
+    await LeadHistory.insertMany(docs, { ordered: false, session });
+  }
+
+  return docs.length;
+};
+
+export default {
+  diffLead,
+  affectsScoring,
+  recordLeadChanges,
+};
@@ -0,0 +1,491 @@
+import Lead from '../models/Lead.js';
+import LeadScore from '../models/LeadScore.js';
+import CrmSync from '../models/CrmSync.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import ImportRejection from '../models/ImportRejection.js';
+import { markScoresStale } from './scoring.service.js';
+import { diffLead, affectsScoring, recordLeadChanges } from './leadHistory.service.js';
+import {
+  REQUIRED_IMPORT_FIELDS,
+  resolveMapping,
+  assertCompleteMapping,
+  applyMapping,
+} from './columnMapping.service.js';
+import { openRecordReader, RecordError, OBJECT_FORMATS } from './recordReader.service.js';
+import { normalizeContactFields } from './normalization.service.js';
+
+// Rows inserted per insertMany call
+export const IMPORT_CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE, 10) || 1000;
+
+// Per-row error details kept for the response; counts are always exact
+export const MAX_ERROR_DETAILS = 1000;
+
+// Per-row report entries kept for the response
+export const MAX_REPORT_ROWS = parseInt(process.env.IMPORT_REPORT_LIMIT, 10) || 10000;
+
+// Leads removed per batch when an import is rolled back
+const ROLLBACK_CHUNK_SIZE = 1000;
+
+// Rows returned by an upload preview
+export const DEFAULT_PREVIEW_ROWS = 10;
+export const MAX_PREVIEW_ROWS = 100;
+
+// insert: new leads only, existing emails fail; skip: existing emails are skipped;
+// upsert: existing leads are merged with the row
+export const IMPORT_MODES = ['insert', 'upsert', 'skip'];
+
+// How an upsert merges a row into an existing lead
+export const MERGE_STRATEGIES = ['overwrite', 'fill-empty', 'keep-existing'];
+
+// Lead fields an upsert may change; email is the match key
+const MERGE_FIELDS = ['name', 'role', 'industry', 'company', 'linkedin', 'phone'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DUPLICATE_KEY_CODE = 11000;
+
+/**
+ * Validate and normalize a mapped record and build the lead to insert. An optional contact value
+ * that cannot be normalized is dropped rather than failing the row.
+ * @param {Object} record - Record keyed by lead field
+ * @param {Object} workspace - Workspace id the lead belongs to
+ * @param {string} [phoneRegion] - Region for phone numbers without a country code
+ * @returns {{ lead: Object|null, message: string|null, normalized: Object[], rejected: Object[] }} - Lead,
+ *   or why the row is invalid, the contact values normalization changed, and the ones it dropped
+ */
+const buildLead = (record, workspace, phoneRegion) => {
+  // Validate required fields
+  const missing = REQUIRED_IMPORT_FIELDS.filter((field) => !record[field]);
+  if (missing.length > 0) {
+    return { lead: null, message: `Missing required fields: ${missing.join(', ')}`, normalized: [], rejected: [] };
+  }
+
+  // Validate email format
+  if (!EMAIL_REGEX.test(record.email)) {
+    return { lead: null, message: 'Invalid email format', normalized: [], rejected: [] };
+  }
+
+  const { values, normalized, rejected } = normalizeContactFields(record, { phoneRegion });
+  const rejectedRequired = rejected.filter((r) => REQUIRED_IMPORT_FIELDS.includes(r.field));
+  if (rejectedRequired.length > 0) {
+    return { lead: null, message: rejectedRequired.map((r) => r.message).join(', '), normalized, rejected };
+  }
+  record = { ...values, ...Object.fromEntries(rejected.map((r) => [r.field, ''])) };
+
+  const lead = new Lead({
+    workspace,
+    name: record.name,
+    email: record.email.toLowerCase(),
+    role: record.role,
+    industry: record.industry,
+    company: record.company || '',
+    linkedin: record.linkedin || '',
+    phone: record.phone || '',
+    score: 0,
+    score_reason: '',
+  });
+
+  const validationError = lead.validateSync();
+  if (validationError) {
+    return {
+      lead: null,
+      message: Object.values(validationError.errors).map((e) => e.message).join(', '),
+      normalized,
+      rejected,
+    };
+  }
+
+  return { lead, message: null, normalized, rejected };
+};
+
+/**
+ * Work out the fields an upsert changes on an existing lead
+ * @param {Object} existing - Stored lead
+ * @param {Object} incoming - Lead built from the row
+ * @param {string} merge - Merge strategy
+ * @returns {Object} - Changed fields and their new values
+ */
+const getMergeChanges = (existing, incoming, merge) => {
+  const changes = {};
+
+  if (merge === 'keep-existing') {
+    return changes;
+  }
+
+  MERGE_FIELDS.forEach((field) => {
+    const value = incoming[field];
+    // An empty cell never clears stored data
+    if (!value || value === existing[field]) {
+      return;
+    }
+    if (merge === 'overwrite' || !existing[field]) {
+      changes[field] = value;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Stream leads from an uploaded file on disk into MongoDB in chunks, in constant memory
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} options - Import options
+ * @param {Object} options.workspace - Workspace id; existing leads are matched by email within it
+ * @param {string} [options.format=csv] - One of IMPORT_FORMATS
+ * @param {string|number} [options.sheet] - XLSX sheet name or 1-based position
+ * @param {string} [options.mode=insert] - One of IMPORT_MODES
+ * @param {string} [options.merge=overwrite] - One of MERGE_STRATEGIES, used by upsert
+ * @param {Object} [options.mapping] - Explicit `{ leadField: header }` mapping; headers are detected otherwise
+ * @param {string} [options.batchId] - ImportBatch to tag created leads with and to record every rejected row under
+ * @param {string} [options.actor] - Uploader, recorded in the history of updated leads
+ * @param {string} [options.phoneRegion] - Region for phone numbers without a country code
+ * @returns {Promise<Object>} - Row counts, the file `headers` and column `mapping` used, `errorDetails`
+ *   for rejected rows, and a per-row `report` of what happened to each row, including the contact
+ *   values that were normalized or dropped
+ * @throws {Error} - A read or write failure, carrying the `importHeaders` and `importMapping` read so far
+ */
+export const importLeadsFromFile = async (
+  filePath,
+  { workspace, format = 'csv', sheet, mode = 'insert', merge = 'overwrite', mapping = {}, batchId, actor, phoneRegion }
+) => {
+  const stats = {
+    totalRows: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    duplicates: 0,
+    invalid: 0,
+    normalized: 0,
+  };
+  const errorDetails = [];
+  const report = [];
+  // Rejected rows waiting to be written to ImportRejection
+  let rejections = [];
+
+  const addReport = (item, email, status, message) => {
+    stats[status]++;
+    if (report.length < MAX_REPORT_ROWS) {
+      report.push({
+        row: item.row,
+        email: email || null,
+        status,
+        ...(message && { message }),
+        ...(item.normalized?.length && { normalized: item.normalized }),
+        ...(item.rejected?.length && { rejected: item.rejected }),
+      });
+    }
+  };
+
+  const addError = (row, message, data) => {
+    if (errorDetails.length < MAX_ERROR_DETAILS) {
+      errorDetails.push({ row, message, data });
+    }
+  };
+
+  const reject = (item, message, kind = 'invalid') => {
+    stats[kind]++;
+    // The original row, so it can be fixed and re-uploaded as is
+    addError(item.row, message, item.raw);
+    if (batchId) {
+      rejections.push({ batch: batchId, row: item.row, message, data: item.raw });
+    }
+    addReport(item, item.lead?.email ?? item.record.email, 'failed', message);
+  };
+
+  // Insert new leads; unordered, so one duplicate does not stop the rest
+  const insertLeads = async (items) => {
+    if (items.length === 0) {
+      return;
+    }
+
+    let writeErrors = [];
+    try {
+      await Lead.insertMany(items.map((item) => item.lead), { ordered: false });
+    } catch (error) {
+      if (!Array.isArray(error.writeErrors)) {
+        throw error;
+      }
+      writeErrors = error.writeErrors;
+    }
+
+    const failedAt = new Map(writeErrors.map((writeError) => [writeError.index, writeError]));
+
+    items.forEach((item, index) => {
+      const writeError = failedAt.get(index);
+      if (!writeError) {
+        addReport(item, item.lead.email, 'created');
+      } else if (writeError.code !== DUPLICATE_KEY_CODE) {
+        reject(item, writeError.errmsg || 'Insert failed');
+      } else if (mode === 'insert') {
+        reject(item, 'Duplicate email', 'duplicates');
+      } else {
+        // Created concurrently by someone else since the lookup
+        addReport(item, item.lead.email, 'skipped', 'Lead already exists');
+      }
+    });
+  };
+
+  const saveRejections = async () => {
+    if (rejections.length === 0) {
+      return;
+    }
+    const pending = rejections;
+    rejections = [];
+    await ImportRejection.insertMany(pending, { ordered: false });
+  };
+
+  const flush = async (chunk) => {
+    await saveRejections();
+
+    if (chunk.length === 0) {
+      return;
+    }
+
+    if (mode === 'insert') {
+      await insertLeads(chunk);
+      return;
+    }
+
+    const existing = await Lead.find({ workspace, email: { $in: chunk.map((item) => item.lead.email) } })
+      .select(['email', ...MERGE_FIELDS])
+      .lean();
+    const existingByEmail = new Map(existing.map((lead) => [lead.email, lead]));
+
+    const toInsert = [];
+    const updates = [];
+
+    chunk.forEach((item) => {
+      const stored = existingByEmail.get(item.lead.email);
+      if (!stored) {
+        toInsert.push(item);
+        return;
+      }
+      if (mode === 'skip') {
+        addReport(item, item.lead.email, 'skipped', 'Lead already exists');
+        return;
+      }
+
+      const changes = getMergeChanges(stored, item.lead, merge);
+      if (Object.keys(changes).length === 0) {
+        addReport(item, item.lead.email, 'skipped', 'No changes');
+        return;
+      }
+      updates.push({ item, id: stored._id, changes, diff: diffLead(stored, changes, MERGE_FIELDS) });
+    });
+
+    await insertLeads(toInsert);
+
+    if (updates.length > 0) {
+      await Lead.bulkWrite(
+        updates.map(({ id, changes }) => ({
+          updateOne: { filter: { _id: id }, update: { $set: changes } },
+        })),
+        { ordered: false }
+      );
+
+      await recordLeadChanges(
+        updates.map(({ id, diff }) => ({ lead: id, changes: diff })),
+        { workspace, actor, source: 'import' }
+      );
+
+      // Changed lead data invalidates the lead's existing scores
+      const rescore = updates.filter(({ diff }) => affectsScoring(diff)).map(({ id }) => id);
+      if (rescore.length > 0) {
+        await markScoresStale({ lead: { $in: rescore } });
+      }
+
+      updates.forEach(({ item, changes }) => {
+        addReport(item, item.lead.email, 'updated', `Updated: ${Object.keys(changes).join(', ')}`);
+      });
+    }
+  };
+
+  const reader = openRecordReader(filePath, { format, sheet });
+  let resolved = null;
+  let resolvedHeaders = null;
+  const keysVary = OBJECT_FORMATS.includes(format);
+  let chunk = [];
+  const chunkEmails = new Set();
+
+  try {
+    for await (const raw of reader.records) {
+      if (raw instanceof RecordError) {
+        stats.totalRows++;
+        reject({ row: stats.totalRows, raw: raw.data, record: {} }, raw.message);
+        continue;
+      }
+
+      // A file of mostly bad rows would otherwise hold every rejection until the next flush
+      if (rejections.length >= IMPORT_CHUNK_SIZE) {
+        await saveRejections();
+      }
+
+      // Headers are known once the first record is read; JSON keys can appear later in the file,
+      // so a JSON record without a required key is rejected as a row rather than failing the upload
+      if (!resolved || reader.headers !== resolvedHeaders) {
+        resolved = resolveMapping(reader.headers, mapping, { partial: keysVary });
+        if (!keysVary) {
+          assertCompleteMapping(resolved);
+        }
+        resolvedHeaders = reader.headers;
+      }
+
+      stats.totalRows++;
+      const record = applyMapping(raw, resolved.mapping);
+      const item = { row: stats.totalRows, raw, record };
+
+      const { lead, message, normalized, rejected } = buildLead(record, workspace, phoneRegion);
+      item.normalized = normalized;
+      item.rejected = rejected;
+      if (normalized.length > 0) {
+        stats.normalized++;
+      }
+      if (!lead) {
+        reject(item, message);
+        continue;
+      }
+      item.lead = lead;
+      if (batchId) {
+        lead.import_batch = batchId;
+      }
+
+      // A repeated email is handled after the chunk holding its first occurrence
+      if (chunk.length >= IMPORT_CHUNK_SIZE || chunkEmails.has(lead.email)) {
+        await flush(chunk);
+        chunk = [];
+        chunkEmails.clear();
+      }
+
+      chunk.push(item);
+      chunkEmails.add(lead.email);
+    }
+
+    await flush(chunk);
+    await saveRejections();
+  } catch (error) {
+    // Keep what was read before the failure, so the batch's rejected rows can still be downloaded
+    await saveRejections().catch(() => {});
+    error.importHeaders = reader.headers;
+    error.importMapping = resolved?.mapping ?? null;
+    throw error;
+  } finally {
+    reader.close();
+  }
+
+  report.sort((a, b) => a.row - b.row);
+
+  return {
+    ...stats,
+    inserted: stats.created,
+    headers: reader.headers,
+    mapping: resolved?.mapping ?? null,
+    errorDetails,
+    report,
+    reportTruncated: stats.totalRows > report.length,
+  };
+};
+
+/**
+ * Map and validate the first rows of an uploaded file without writing anything
+ * @param {string} filePath - Path of the uploaded file
+ * @param {Object} options - Preview options
+ * @param {Object} options.workspace - Workspace id, for checking which emails already exist
+ * @param {string} [options.format=csv] - One of IMPORT_FORMATS
+ * @param {string|number} [options.sheet] - XLSX sheet name or 1-based position
+ * @param {Object} [options.mapping] - Explicit `{ leadField: header }` mapping; headers are detected otherwise
+ * @param {number} [options.rows=DEFAULT_PREVIEW_ROWS] - Number of rows to read
+ * @param {string} [options.phoneRegion] - Region for phone numbers without a country code
+ * @returns {Promise<Object>} - File `headers`, the resolved mapping, and the mapped `rows` with
+ *   their validation result, what normalization would change, and whether a lead with the email
+ *   already exists
+ */
+export const previewLeadsFromFile = async (
+  filePath,
+  { workspace, format = 'csv', sheet, mapping = {}, rows = DEFAULT_PREVIEW_ROWS, phoneRegion }
+) => {
+  const reader = openRecordReader(filePath, { format, sheet });
+  const preview = [];
+
+  try {
+    for await (const raw of reader.records) {
+      preview.push(raw);
+      if (preview.length >= rows) {
+        break;
+      }
+    }
+  } finally {
+    reader.close();
+  }
+
+  const resolved = resolveMapping(reader.headers, mapping, { partial: OBJECT_FORMATS.includes(format) });
+
+  const mapped = preview.map((raw, index) => {
+    if (raw instanceof RecordError) {
+      return { row: index + 1, data: raw.data, valid: false, message: raw.message };
+    }
+    const data = applyMapping(raw, resolved.mapping);
+    const { lead, message, normalized, rejected } = buildLead(data, workspace, phoneRegion);
+    return {
+      row: index + 1,
+      data,
+      valid: Boolean(lead),
+      ...(message && { message }),
+      ...(normalized.length > 0 && { normalized }),
+      ...(rejected.length > 0 && { rejected }),
+      email: lead?.email,
+    };
+  });
+
+  const emails = mapped.filter((row) => row.email).map((row) => row.email);
+  const existing = new Set(
+    (await Lead.find({ workspace, email: { $in: emails } }).select('email').lean()).map((lead) => lead.email)
+  );
+
+  return {
+    format,
+    ...(reader.sheet && { sheet: reader.sheet }),
+    headers: reader.headers,
+    ...resolved,
+    rows: mapped.map(({ email, ...row }) => ({ ...row, exists: Boolean(email && existing.has(email)) })),
+  };
+};
+
+/**
+ * Remove the leads an import created, with their scores
+ * @param {string} batchId - ImportBatch id
+ * @returns {Promise<number>} - Number of leads removed
+ */
+export const rollbackImportedLeads = async (batchId) => {
+  let deleted = 0;
+
+  // Delete in slices so a large import does not build one huge $in
+  for (;;) {
+    const ids = (
+      await Lead.find({ import_batch: batchId }).select('_id').limit(ROLLBACK_CHUNK_SIZE).lean()
+    ).map((lead) => lead._id);
+
+    if (ids.length === 0) {
+      return deleted;
+    }
+
+    await LeadScore.deleteMany({ lead: { $in: ids } });
+    await CrmSync.deleteMany({ lead: { $in: ids } });
+    await LeadDuplicate.deleteForLeads(ids);
+    const { deletedCount } = await Lead.deleteMany({ _id: { $in: ids } });
+    deleted += deletedCount;
+  }
+};
+
+export default {
+  IMPORT_CHUNK_SIZE,
+  MAX_ERROR_DETAILS,
+  MAX_REPORT_ROWS,
+  DEFAULT_PREVIEW_ROWS,
+  MAX_PREVIEW_ROWS,
+  IMPORT_MODES,
+  MERGE_STRATEGIES,
+  importLeadsFromFile,
+  previewLeadsFromFile,
+  rollbackImportedLeads,
+};
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import { BadRequestError, NotFoundError } from '../middleware/errorHandler.js';
+import Lead, { EDITABLE_LEAD_FIELDS } from '../models/Lead.js';
+import LeadScore, { HAS_SCORE } from '../models/LeadScore.js';
+import LeadHistory from '../models/LeadHistory.js';
+import LeadDuplicate from '../models/LeadDuplicate.js';
+import CrmSync from '../models/CrmSync.js';
+import { diffLead, affectsScoring, recordLeadChanges } from './leadHistory.service.js';
+import { markScoresStale } from './scoring.service.js';
+
+// Fields a merge can take from any of the merged leads
+export const MERGE_FIELDS = [...EDITABLE_LEAD_FIELDS, 'assigned_to'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Keep one score per offer across the merged leads and move it to the kept lead: the most
+ * recent usable score wins, so a lead scored under either identity keeps its score
+ * @param {Object} keptId - Lead kept
+ * @param {Object[]} removedIds - Leads merged into it
+ * @param {Object} options - Options
+ * @param {Object} options.session - Session of the merge transaction
+ * @param {Function} options.archive - Async function receiving `(superseded, winner)` before the
+ *   superseded scores of an offer are deleted
+ * @returns {Promise<number>} - Number of scores moved to the kept lead
+ */
+const mergeScores = async (keptId, removedIds, { session, archive }) => {
+  const scores = await LeadScore.find({ lead: { $in: [keptId, ...removedIds] } })
+    .sort({ processed_at: -1 })
+    .session(session)
+    .lean();
+
+  const byOffer = new Map();
+  scores.forEach((score) => {
+    const key = String(score.offer);
+    byOffer.set(key, [...(byOffer.get(key) || []), score]);
+  });
+
+  let moved = 0;
+  for (const offerScores of byOffer.values()) {
+    const winner = offerScores.find((score) => score.status !== 'ai_failed') || offerScores[0];
+    const losers = offerScores.filter((score) => score !== winner);
+
+    // Archive and remove the others first: a lead has one score per offer
+    if (losers.length > 0) {
+      await archive(losers, winner);
+      await LeadScore.deleteMany({ _id: { $in: losers.map((score) => score._id) } }, { session });
+    }
+    if (!winner.lead.equals(keptId)) {
+      await LeadScore.updateOne({ _id: winner._id }, { $set: { lead: keptId } }, { session });
+      moved++;
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Move CRM sync state to the kept lead for connections it was never pushed to
+ * @param {Object} keptId - Lead kept
+ * @param {Object[]} removedIds - Leads merged into it
+ * @param {Object} session - Session of the merge transaction
+ */
+const mergeCrmSyncs = async (keptId, removedIds, session) => {
+  const syncs = await CrmSync.find({ lead: { $in: [keptId, ...removedIds] } })
+    .select('_id lead connection')
+    .sort({ last_attempt_at: -1 })
+    .session(session)
+    .lean();
+
+  const claimed = new Set(syncs.filter((sync) => sync.lead.equals(keptId)).map((sync) => String(sync.connection)));
+  const remove = [];
+
+  for (const sync of syncs) {
+    if (sync.lead.equals(keptId)) {
+      continue;
+    }
+    if (claimed.has(String(sync.connection))) {
+      remove.push(sync._id);
+      continue;
+    }
+    claimed.add(String(sync.connection));
+    await CrmSync.updateOne({ _id: sync._id }, { $set: { lead: keptId } }, { session });
+  }
+
+  if (remove.length > 0) {
+    await CrmSync.deleteMany({ _id: { $in: remove } }, { session });
+  }
+};
+
+/**
+ * Merge leads into one. Each field takes the value of the lead picked for it in `fields`, else the
+ * kept lead's value, else the first non-empty value of the merged leads. Tags are combined. Scores,
+ * CRM sync state and history move to the kept lead, and the merged leads are deleted. Scores
+ * superseded by another lead's score for the same offer are recorded in the kept lead's history.
+ * The writes run in one transaction, so MongoDB must be a replica set.
+ * @param {Object} options - Options
+ * @param {Object} options.workspace - Workspace id of the leads
+ * @param {string} options.keep - Id of the lead to keep
+ * @param {string[]} options.merge - Ids of the leads merged into it
+ * @param {Object} [options.fields] - `{ field: leadId }` choosing which lead a field comes from
+ * @param {string} [options.actor] - Recorded in the history
+ * @returns {Promise<Object>} - The kept `lead`, the `merged` ids, its `changes`, the fields that had
+ *   `conflicts` between leads, and the number of `movedScores` and `staleScores`
+ * @throws {NotFoundError} - If a lead does not exist in the workspace
+ * @throws {BadRequestError} - If a field choice is invalid or the merged lead fails validation
+ */
+export const mergeLeads = async ({ workspace, keep, merge, fields = {}, actor }) => {
+  const ids = [keep, ...merge].map(String);
+  if (new Set(ids).size !== ids.length) {
+    throw new BadRequestError('Each lead can only be merged once, and not into itself');
+  }
+
+  const leads = await Lead.find({ _id: { $in: ids }, workspace });
+  const byId = new Map(leads.map((lead) => [String(lead._id), lead]));
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    throw new NotFoundError(`Lead not found: ${missing.join(', ')}`);
+  }
+
+  Object.entries(fields).forEach(([field, source]) => {
+    if (!MERGE_FIELDS.includes(field)) {
+      throw new BadRequestError(`Cannot choose field "${field}"; choose from ${MERGE_FIELDS.join(', ')}`);
+    }
+    if (!byId.has(String(source))) {
+      throw new BadRequestError(`The ${field} must come from one of the merged leads`);
+    }
+  });
+
+  const kept = byId.get(String(keep));
+  const removed = merge.map((id) => byId.get(String(id)));
+  const ordered = [kept, ...removed];
+  const before = kept.toObject();
+
+  const conflicts = [];
+  MERGE_FIELDS.forEach((field) => {
+    const candidates = ordered
+      .filter((lead) => !isBlank(lead[field]))
+      .map((lead) => ({ lead: lead._id, value: lead[field] }));
+    const source = fields[field]
+      ? byId.get(String(fields[field]))
+      : byId.get(String(candidates[0]?.lead ?? kept._id));
+
+    if (new Set(candidates.map((candidate) => candidate.value)).size > 1) {
+      conflicts.push({ field, values: candidates, chosen: source._id });
+    }
+    kept.set(field, source[field]);
+  });
+
+  const tags = [...new Set(ordered.flatMap((lead) => lead.tags || []))];
+  kept.set('tags', tags);
+
+  // Fail before anything is deleted; the email can only clash with a lead being merged
+  try {
+    await kept.validate(MERGE_FIELDS);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new BadRequestError(
+        'Validation failed',
+        Object.values(error.errors).map((e) => ({ path: e.path, msg: e.message }))
+      );
+    }
+    throw error;
+  }
+
+  const removedIds = removed.map((lead) => lead._id);
+  const history = { workspace, actor, source: 'merge' };
+  let movedScores;
+  let changes;
+  let staleScores;
+
+  // Every write of the merge commits together, so a failure part-way leaves the leads as they were.
+  // transaction() also resets the kept lead's document state if the transaction is retried.
+  await mongoose.connection.transaction(async (session) => {
+    // A superseded score is kept in the kept lead's history before it is deleted
+    const archiveScores = (superseded, winner) => recordLeadChanges(
+      [{
+        lead: kept._id,
+        changes: superseded.map((score) => ({ field: 'superseded_score', old_value: score, new_value: winner._id })),
+      }],
+      { ...history, session }
+    );
+
+    movedScores = await mergeScores(kept._id, removedIds, { session, archive: archiveScores });
+    await mergeCrmSyncs(kept._id, removedIds, session);
+    await LeadHistory.updateMany({ lead: { $in: removedIds } }, { $set: { lead: kept._id } }, { session });
+    await LeadDuplicate.deleteForLeads(removedIds, { session });
+    await Lead.deleteMany({ _id: { $in: removedIds }, workspace }, { session });
+
+    // The summary follows the most recent score the kept lead now has
+    const latest = await LeadScore.findOne({ lead: kept._id, ...HAS_SCORE })
+      .sort({ processed_at: -1 })
+      .session(session)
+      .lean();
+    if (latest) {
+      kept.set({
+        is_processed: true,
+        score: latest.score,
+        score_reason: latest.score_reason,
+        processed_at: latest.processed_at,
+        offer: latest.offer,
+      });
+    }
+
+    await kept.save({ session });
+
+    changes = diffLead(before, kept.toObject(), MERGE_FIELDS);
+    if (tags.length !== (before.tags || []).length) {
+      changes.push({ field: 'tags', old_value: before.tags || [], new_value: tags });
+    }
+
+    // Each merged lead is kept in the history as it was, so discarded values can be recovered
+    const mergedEntries = removed.map((lead) => ({
+      field: 'merged_lead',
+      old_value: {
+        id: lead._id,
+        ...Object.fromEntries(MERGE_FIELDS.map((field) => [field, lead[field] ?? null])),
+        tags: lead.tags,
+        score: lead.is_processed ? lead.score : null,
+      },
+      new_value: kept._id,
+    }));
+
+    await recordLeadChanges([{ lead: kept._id, changes: [...mergedEntries, ...changes] }], { ...history, session });
+
+    // Scores moved over from other leads do not describe the merged values either
+    staleScores = affectsScoring(changes) || movedScores > 0
+      ? await markScoresStale({ lead: kept._id }, { session })
+      : 0;
+  });
+
+  return { lead: kept, merged: removedIds, changes, conflicts, movedScores, staleScores };
+};
+
+export default {
+  MERGE_FIELDS,
+  mergeLeads,
+};
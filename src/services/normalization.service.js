@@ -0,0 +1,161 @@
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js';
+
+// Region used to read phone numbers written without a country code
+export const DEFAULT_PHONE_REGION = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+
+// Contact fields that are normalized on upload and edit
+export const NORMALIZED_FIELDS = ['name', 'phone', 'linkedin'];
+
+// Cell values that mean "no value" rather than a bad one
+const PLACEHOLDERS = new Set(['-', 'n/a', 'na', 'none', 'null']);
+
+// Lowercase name particles, except at the start of a name
+const NAME_PARTICLES = new Set([
+  'van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'di', 'du', 'la', 'le', 'dos', 'das', 'bin', 'ibn', 'al',
+]);
+
+// linkedin.com/in/<slug> on any LinkedIn host, with or without scheme, trailing path, query or fragment
+const LINKEDIN_PROFILE_REGEX = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([^/?#\s]+)(?:\/[^?#\s]*)?(?:[?#]\S*)?$/i;
+
+// LinkedIn public profile slugs: 3-100 letters, digits, hyphens or underscores
+const LINKEDIN_SLUG_REGEX = /^[\p{L}\p{N}_-]{3,100}$/u;
+
+/**
+ * Whether a region code can be used to read phone numbers
+ * @param {string} region - ISO 3166-1 alpha-2 code
+ * @returns {boolean}
+ */
+export const isPhoneRegion = (region) => typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} value - Phone number as written
+ * @param {string} [region] - Region for numbers without a country code
+ * @returns {{ value: string|null, error: string|null }} - E.164 number, or why it was rejected
+ */
+export const normalizePhone = (value, region = DEFAULT_PHONE_REGION) => {
+  const phone = parsePhoneNumberFromString(value, region.toUpperCase());
+  if (!phone || !phone.isValid()) {
+    return { value: null, error: `Invalid phone number "${value}"` };
+  }
+  return { value: phone.number, error: null };
+};
+
+/**
+ * Profile slug of a LinkedIn URL
+ * @param {string} value - URL as written or as stored
+ * @returns {string|null} - Lowercase, decoded slug, or null if the value is not a profile URL
+ */
+export const getLinkedInSlug = (value) => {
+  const match = typeof value === 'string' ? LINKEDIN_PROFILE_REGEX.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const slug = decodeURIComponent(match[1]).toLowerCase();
+    return LINKEDIN_SLUG_REGEX.test(slug) ? slug : null;
+  } catch {
+    // Broken percent-encoding
+    return null;
+  }
+};
+
+/**
+ * Normalize a LinkedIn profile URL to https://www.linkedin.com/in/<slug>
+ * @param {string} value - URL as written
+ * @returns {{ value: string|null, error: string|null }} - Canonical URL, or why it was rejected
+ */
+export const normalizeLinkedIn = (value) => {
+  const slug = getLinkedInSlug(value);
+
+  if (!slug) {
+    return { value: null, error: `Invalid LinkedIn profile URL "${value}"; expected linkedin.com/in/<profile>` };
+  }
+
+  return { value: `https://www.linkedin.com/in/${encodeURIComponent(slug)}`, error: null };
+};
+
+const capitalize = (part) => part.charAt(0).toLocaleUpperCase() + part.slice(1);
+
+const caseNamePart = (part) => {
+  const cased = part.split("'").map(capitalize).join("'");
+  // McDonald, McIntosh
+  return /^Mc\p{L}/u.test(cased) ? `Mc${capitalize(cased.slice(2))}` : cased;
+};
+
+/**
+ * Proper-case a name written all in upper or lower case; mixed case is kept as written
+ * @param {string} value - Name as written
+ * @returns {string} - e.g. Mary-Jane O'Brien van der Berg for MARY-JANE O'BRIEN VAN DER BERG
+ */
+export const normalizeName = (value) => {
+  const name = value.replace(/\s+/g, ' ').trim();
+
+  // Someone who wrote "DeShawn" or "de la Cruz" knows how their name is spelled
+  if (name !== name.toLocaleUpperCase() && name !== name.toLocaleLowerCase()) {
+    return name;
+  }
+
+  return name
+    .toLocaleLowerCase()
+    .split(' ')
+    .map((word, index) =>
+      (index > 0 && NAME_PARTICLES.has(word) ? word : word.split('-').map(caseNamePart).join('-')))
+    .join(' ');
+};
+
+const normalizers = {
+  name: (value) => ({ value: normalizeName(value), error: null }),
+  phone: (value, { phoneRegion }) => normalizePhone(value, phoneRegion),
+  linkedin: (value) => normalizeLinkedIn(value),
+};
+
+/**
+ * Normalize the contact fields present in a set of lead values
+ * @param {Object} values - Lead fields; fields other than NORMALIZED_FIELDS are passed through
+ * @param {Object} [options] - Options
+ * @param {string} [options.phoneRegion] - Region for phone numbers without a country code
+ * @returns {{ values: Object, normalized: Object[], rejected: Object[] }} - Normalized values,
+ *   `{ field, from, to }` for each value that changed, and `{ field, value, message }` for each rejected one
+ */
+export const normalizeContactFields = (values, { phoneRegion = DEFAULT_PHONE_REGION } = {}) => {
+  const result = { ...values };
+  const normalized = [];
+  const rejected = [];
+
+  NORMALIZED_FIELDS.forEach((field) => {
+    const raw = values[field];
+    if (typeof raw !== 'string' || raw.trim() === '') {
+      return;
+    }
+
+    const trimmed = raw.trim();
+    const { value, error } = PLACEHOLDERS.has(trimmed.toLowerCase()) && field !== 'name'
+      ? { value: '', error: null }
+      : normalizers[field](trimmed, { phoneRegion });
+
+    if (error) {
+      rejected.push({ field, value: raw, message: error });
+      return;
+    }
+
+    result[field] = value;
+    if (value !== trimmed) {
+      normalized.push({ field, from: raw, to: value });
+    }
+  });
+
+  return { values: result, normalized, rejected };
+};
+
+export default {
+  DEFAULT_PHONE_REGION,
+  NORMALIZED_FIELDS,
+  isPhoneRegion,
+  normalizePhone,
+  getLinkedInSlug,
+  normalizeLinkedIn,
+  normalizeName,
+  normalizeContactFields,
+};
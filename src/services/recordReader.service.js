@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { parse } from 'csv-parse';
+import ExcelJS from 'exceljs';
+import StreamArray from 'stream-json/streamers/StreamArray.js';
+import { BadRequestError } from '../middleware/errorHandler.js';
+
+// File formats leads can be imported from
+export const IMPORT_FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+// Formats whose records are objects: any record may have keys the earlier ones lacked
+export const OBJECT_FORMATS = ['json', 'ndjson'];
+
+// Error code for a file that cannot be read in its format
+export const PARSE_ERROR_CODE = 'IMPORT_PARSE_ERROR';
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+};
+
+const MIME_FORMATS = {
+  'text/csv': 'csv',
+  'application/vnd.ms-excel': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+};
+
+/**
+ * A record that could not be read; reported as a failed row instead of stopping the import
+ */
+export class RecordError {
+  constructor(message, data = null) {
+    this.message = message;
+    this.data = data;
+  }
+}
+
+/**
+ * Work out an upload's format from its file name, falling back to the MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} [mimetype] - MIME type sent by the client
+ * @returns {string|null} - One of IMPORT_FORMATS, or null if unsupported
+ */
+export const detectImportFormat = (fileName, mimetype) =>
+  EXTENSION_FORMATS[path.extname(fileName || '').toLowerCase()] || MIME_FORMATS[mimetype] || null;
+
+/**
+ * Wrap a low-level read failure so callers can answer with a bad request
+ * @param {Error} error - Failure from the parser
+ * @param {string} format - Format being read
+ * @returns {Error}
+ */
+const toParseError = (error, format) => {
+  if (error.code?.startsWith('CSV_') || error.statusCode) {
+    return error;
+  }
+  const parseError = new Error(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  parseError.code = PARSE_ERROR_CODE;
+  return parseError;
+};
+
+/**
+ * Flatten a file value to the string the import pipeline expects
+ * @param {*} value - Cell or property value
+ * @returns {string}
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    // Spreadsheet cells: formulas, hyperlinks and rich text
+    if (value.result !== undefined) {
+      return toText(value.result);
+    }
+    if (value.text !== undefined) {
+      return toText(value.text);
+    }
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Check a JSON value is a lead-like object and flatten its values
+ * @param {*} value - Parsed JSON value
+ * @returns {Object|RecordError}
+ */
+const toRecord = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return new RecordError('Record must be a JSON object', value);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key.trim(), toText(item)]));
+};
+
+/**
+ * Keys of the JSON objects read so far stand in for headers
+ * @param {Object} reader - Reader state
+ * @param {Object|RecordError} record - Record just read
+ */
+const addKeys = (reader, record) => {
+  if (record instanceof RecordError) {
+    return;
+  }
+  const added = Object.keys(record).filter((key) => !reader.headers.includes(key));
+  if (added.length > 0) {
+    reader.headers = [...reader.headers, ...added];
+  }
+};
+
+async function* readCSV(source, reader) {
+  const parser = source.pipe(
+    parse({
+      delimiter: ',',
+      columns: (headers) => {
+        reader.headers = headers;
+        return headers;
+      },
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+    })
+  );
+
+  yield* parser;
+}
+
+async function* readJSON(source, reader) {
+  const parser = source.pipe(StreamArray.withParser());
+
+  for await (const { value } of parser) {
+    const record = toRecord(value);
+    addKeys(reader, record);
+    yield record;
+  }
+}
+
+async function* readNDJSON(source, reader) {
+  const lines = readline.createInterface({ input: source, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = toRecord(JSON.parse(line));
+    } catch (error) {
+      record = new RecordError(`Invalid JSON: ${error.message}`, line);
+    }
+
+    addKeys(reader, record);
+    yield record;
+  }
+}
+
+async function* readXLSX(filePath, reader, sheet) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    entries: 'emit',
+  });
+
+  let index = 0;
+  for await (const worksheet of workbook) {
+    index++;
+    const selected = sheet === undefined || sheet === null || sheet === ''
+      ? index === 1
+      : String(sheet) === worksheet.name || String(sheet) === String(index);
+
+    if (!selected) {
+      // Sheets are read in order; drain this one to reach the next
+      for await (const _ of worksheet) {
+        // skip
+      }
+      continue;
+    }
+
+    reader.sheet = worksheet.name;
+
+    // The first non-empty row holds the headers; row.values is 1-based
+    for await (const row of worksheet) {
+      const values = row.values.slice(1).map(toText);
+      if (reader.headers.length === 0) {
+        reader.headers = values.map((header) => header.trim());
+        continue;
+      }
+      if (values.every((value) => !value.trim())) {
+        continue;
+      }
+      yield Object.fromEntries(reader.headers.map((header, i) => [header, (values[i] || '').trim()]));
+    }
+    return;
+  }
+
+  throw new BadRequestError(`Sheet not found: ${sheet ?? 1}`);
+}
+
+/**
+ * Open an import file as a stream of records keyed by header (or property name)
+ * @param {string} filePath - Path of the file on disk
+ * @param {Object} [options] - Reader options
+ * @param {string} [options.format=csv] - One of IMPORT_FORMATS
+ * @param {string|number} [options.sheet] - XLSX sheet name or 1-based position; the first sheet by default
+ * @returns {Object} - `records` to iterate, `headers` once the first record is read, and `close()`.
+ *   JSON headers are the keys of the objects read so far and may grow. A record that cannot be
+ *   read is yielded as a RecordError.
+ */
+export const openRecordReader = (filePath, { format = 'csv', sheet } = {}) => {
+  const reader = { headers: [], format };
+  let records;
+
+  if (format === 'xlsx') {
+    records = readXLSX(filePath, reader, sheet);
+  } else {
+    const source = fs.createReadStream(filePath);
+    reader.source = source;
+    const read = { csv: readCSV, json: readJSON, ndjson: readNDJSON }[format];
+    if (!read) {
+      throw new BadRequestError(`Unsupported import format: ${format}`);
+    }
+    records = read(source, reader);
+  }
+
+  reader.records = (async function* () {
+    try {
+      yield* records;
+    } catch (error) {
+      throw toParseError(error, format);
+    }
+  })();
+
+  reader.close = () => {
+    reader.source?.destroy();
+  };
+
+  return reader;
+};
+
+export default {
+  IMPORT_FORMATS,
+  OBJECT_FORMATS,
+  PARSE_ERROR_CODE,
+  RecordError,
+  detectImportFormat,
+  openRecordReader,
+};
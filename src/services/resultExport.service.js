@@ -0,0 +1,171 @@
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { stringify } from 'csv-stringify';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const formatReasons = (reasons) => reasons.map((r) => `${r.attribute}: ${r.detail}`).join(' | ');
+
+// Exportable columns: header for tabular formats, value read from a populated LeadScore,
+// and an optional flat form for CSV/XLSX cells
+export const EXPORT_COLUMNS = {
+  name: { header: 'Name', value: (s) => s.lead.name },
+  email: { header: 'Email', value: (s) => s.lead.email },
+  role: { header: 'Role', value: (s) => s.lead.role },
+  company: { header: 'Company', value: (s) => s.lead.company || '' },
+  industry: { header: 'Industry', value: (s) => s.lead.industry },
+  linkedin: { header: 'LinkedIn', value: (s) => s.lead.linkedin || '' },
+  phone: { header: 'Phone', value: (s) => s.lead.phone || '' },
+  offer: { header: 'Offer', value: (s) => s.offer?.name || '' },
+  score: { header: 'Score', value: (s) => s.score ?? null },
+  rule_score: { header: 'Rule Score', value: (s) => s.rule_score ?? null },
+  score_reason: { header: 'Score Reason', value: (s) => s.score_reason || '' },
+  status: { header: 'Status', value: (s) => s.status || 'scored' },
+  stale: { header: 'Stale', value: (s) => Boolean(s.stale), flat: (v) => (v ? 'yes' : 'no') },
+  ai_intent: { header: 'AI Intent', value: (s) => s.ai_intent || '' },
+  ai_score: { header: 'AI Score', value: (s) => s.ai_score ?? null },
+  ai_confidence: { header: 'AI Confidence', value: (s) => s.ai_confidence ?? null },
+  ai_reasons: { header: 'AI Reasons', value: (s) => s.ai_reasons || [], flat: formatReasons },
+  ai_provider: { header: 'AI Provider', value: (s) => s.ai_provider || '' },
+  ai_model: { header: 'AI Model', value: (s) => s.ai_model || '' },
+  // Scores written before processed_at existed have none
+  processed_at: {
+    header: 'Processed At',
+    value: (s) => (s.processed_at ? new Date(s.processed_at) : null),
+    flat: (v) => (v ? v.toISOString() : ''),
+  },
+};
+
+// Columns exported when `columns` is not given
+export const DEFAULT_EXPORT_COLUMNS = [
+  'name',
+  'email',
+  'role',
+  'company',
+  'industry',
+  'offer',
+  'score',
+  'score_reason',
+  'status',
+  'stale',
+  'ai_intent',
+  'ai_confidence',
+  'ai_reasons',
+  'processed_at',
+];
+
+/**
+ * Turn a populated LeadScore into an export row
+ * @param {Object} score - LeadScore with `lead` and `offer` populated
+ * @param {string[]} columns - Keys of EXPORT_COLUMNS
+ * @param {boolean} flat - Flatten values for CSV/XLSX cells
+ * @returns {Object} - Row keyed by column
+ */
+const toRow = (score, columns, flat) =>
+  Object.fromEntries(
+    columns.map((key) => {
+      const column = EXPORT_COLUMNS[key];
+      let value = column.value(score);
+      if (flat) {
+        value = column.flat ? column.flat(value) : value ?? '';
+      }
+      return [key, value];
+    })
+  );
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} stream - Destination
+ * @param {*} chunk - Data to write
+ */
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+/**
+ * Create a writer that streams export rows to an HTTP response
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} res - Express response; headers are set here
+ * @param {string[]} columns - Keys of EXPORT_COLUMNS, in output order
+ * @param {string} [fileName=lead_scores_export] - Download name without extension
+ * @returns {{ write: Function, end: Function }} - `write(score)` per populated LeadScore, then `end()`
+ */
+export const createExportWriter = (format, res, columns, fileName = 'lead_scores_export') => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}.${format}`);
+  res.status(200);
+
+  if (format === 'csv') {
+    const stringifier = stringify({
+      header: true,
+      columns: columns.map((key) => ({ key, header: EXPORT_COLUMNS[key].header })),
+    });
+    stringifier.pipe(res);
+
+    return {
+      write: (score) => write(stringifier, toRow(score, columns, true)),
+      end: async () => {
+        stringifier.end();
+        await finished(res);
+      },
+    };
+  }
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet('Results');
+    sheet.columns = columns.map((key) => ({ key, header: EXPORT_COLUMNS[key].header }));
+
+    return {
+      write: async (score) => {
+        sheet.addRow(toRow(score, columns, true)).commit();
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      write: (score) => write(res, `${JSON.stringify(toRow(score, columns, false))}\n`),
+      end: async () => {
+        res.end();
+      },
+    };
+  }
+
+  // json: one array, written element by element
+  let first = true;
+  return {
+    write: async (score) => {
+      await write(res, `${first ? '[\n' : ',\n'}${JSON.stringify(toRow(score, columns, false))}`);
+      first = false;
+    },
+    end: async () => {
+      res.end(first ? '[]\n' : '\n]\n');
+    },
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  createExportWriter,
+};
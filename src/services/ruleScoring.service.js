@@ -0,0 +1,176 @@
+/**
+ * Default rule set, used for any section an offer does not define itself.
+ * These mirror the original hardcoded scoring rules.
+ */
+export const DEFAULT_SCORING_RULES = Object.freeze({
+  role_tiers: [
+    { label: 'Decision maker', keywords: ['ceo', 'founder', 'owner'], points: 20 },
+    { label: 'Influencer', keywords: ['manager', 'director', 'vp', 'head of'], points: 10 },
+  ],
+  industry: {
+    match_keywords: [],
+    exact_points: 20,
+    adjacent_keywords: ['tech', 'saas', 'software', 'enterprise', 'startup', 'technology'],
+    adjacent_points: 10,
+  },
+  completeness: {
+    fields: ['name', 'email', 'role', 'company', 'industry'],
+    complete_points: 10,
+    partial_points: 5,
+  },
+  enrichment: {
+    // Subtracted when the email is a free-mail address rather than a company one
+    free_mail_penalty: 10,
+  },
+  max_score: 50,
+});
+
+// Enriched values that stand in for an empty lead field in the completeness rule
+const ENRICHED_FALLBACKS = {
+  company: (lead) => lead.enrichment?.company_name,
+};
+
+const fieldValue = (lead, field) => lead[field] || ENRICHED_FALLBACKS[field]?.(lead);
+
+const hasItems = (value) => Array.isArray(value) && value.length > 0;
+
+const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+/**
+ * Resolve the effective rule set for an offer, section by section
+ * @param {Object} offer - Offer document
+ * @returns {Object} - Complete rule set
+ */
+export const resolveScoringRules = (offer) => {
+  const rules = offer?.scoring_rules;
+  const defaults = DEFAULT_SCORING_RULES;
+
+  if (!rules) {
+    return defaults;
+  }
+
+  const industry = rules.industry || {};
+  const completeness = rules.completeness || {};
+  const enrichment = rules.enrichment || {};
+
+  return {
+    role_tiers: hasItems(rules.role_tiers) ? rules.role_tiers : defaults.role_tiers,
+    industry: {
+      match_keywords: hasItems(industry.match_keywords)
+        ? industry.match_keywords
+        : defaults.industry.match_keywords,
+      exact_points: pick(industry.exact_points, defaults.industry.exact_points),
+      adjacent_keywords: hasItems(industry.adjacent_keywords)
+        ? industry.adjacent_keywords
+        : defaults.industry.adjacent_keywords,
+      adjacent_points: pick(industry.adjacent_points, defaults.industry.adjacent_points),
+    },
+    completeness: {
+      fields: hasItems(completeness.fields) ? completeness.fields : defaults.completeness.fields,
+      complete_points: pick(completeness.complete_points, defaults.completeness.complete_points),
+      partial_points: pick(completeness.partial_points, defaults.completeness.partial_points),
+    },
+    enrichment: {
+      free_mail_penalty: pick(enrichment.free_mail_penalty, defaults.enrichment.free_mail_penalty),
+    },
+    max_score: pick(rules.max_score, defaults.max_score),
+  };
+};
+
+/**
+ * Calculate rule-based score for a lead
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @returns {Object} - Score, the rule set's maximum score, and reason
+ */
+export const calculateRuleScore = (lead, offer) => {
+  const rules = resolveScoringRules(offer);
+  let score = 0;
+  const reasons = [];
+
+  // 1. Role relevance (first matching tier wins)
+  const role = lead.role ? lead.role.toLowerCase() : '';
+  const tier = role
+    ? rules.role_tiers.find((t) => t.keywords.some((keyword) => role.includes(keyword.toLowerCase())))
+    : null;
+
+  if (tier) {
+    score += tier.points;
+    reasons.push(`Role: ${tier.label} (+${tier.points})`);
+  } else if (role) {
+    reasons.push('Role: No matching role (0)');
+  } else {
+    reasons.push('Role: Not provided (0)');
+  }
+
+  // 2. Industry match, against the offer's own keywords or its ideal use cases
+  const industry = lead.industry ? lead.industry.toLowerCase() : '';
+  const targets = (hasItems(rules.industry.match_keywords)
+    ? rules.industry.match_keywords
+    : offer.ideal_use_cases || []
+  ).map((target) => target.toLowerCase());
+
+  if (industry && targets.length > 0) {
+    const isExactMatch = targets.some((target) =>
+      industry.includes(target) || target.includes(industry)
+    );
+
+    if (isExactMatch) {
+      score += rules.industry.exact_points;
+      reasons.push(`Industry: Exact ICP match (+${rules.industry.exact_points})`);
+    } else {
+      const isAdjacent = rules.industry.adjacent_keywords.some((keyword) => {
+        const kw = keyword.toLowerCase();
+        return industry.includes(kw) || targets.some((target) => target.includes(kw));
+      });
+
+      if (isAdjacent) {
+        score += rules.industry.adjacent_points;
+        reasons.push(`Industry: Adjacent industry match (+${rules.industry.adjacent_points})`);
+      } else {
+        reasons.push('Industry: No match (0)');
+      }
+    }
+  } else {
+    reasons.push('Industry: Not provided or no ideal use cases defined (0)');
+  }
+
+  // 3. Data completeness; an empty company counts as given when enrichment found one
+  const { fields, complete_points, partial_points } = rules.completeness;
+  const missingFields = fields.filter((field) => {
+    const value = fieldValue(lead, field);
+    return !value || String(value).trim() === '';
+  });
+
+  if (missingFields.length === 0) {
+    score += complete_points;
+    reasons.push(`Data: Complete (+${complete_points})`);
+  } else if (missingFields.length < fields.length) {
+    score += partial_points;
+    reasons.push(`Data: Partially complete (${fields.length - missingFields.length}/${fields.length} fields, +${partial_points})`);
+  } else {
+    reasons.push('Data: Incomplete (0)');
+  }
+
+  // Cap at the rule layer maximum
+  score = Math.min(score, rules.max_score);
+
+  // 4. Free-mail address: weaker evidence of a company buyer; applied after the cap so it always counts
+  const { free_mail_penalty } = rules.enrichment;
+  if (lead.enrichment?.free_mail && free_mail_penalty > 0) {
+    score = Math.max(0, score - free_mail_penalty);
+    reasons.push(`Email: Free-mail address (-${free_mail_penalty})`);
+  }
+
+  return {
+    score,
+    maxScore: rules.max_score,
+    reason: reasons.join(' | '),
+  };
+};
+
+export default {
+  DEFAULT_SCORING_RULES,
+  resolveScoringRules,
+  calculateRuleScore,
+};
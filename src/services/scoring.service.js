@@ -0,0 +1,131 @@
+import Lead from '../models/Lead.js';
+import LeadScore from '../models/LeadScore.js';
+import { AI_MAX_SCORE } from './ai/scoreSchema.js';
+import { calculateRuleScore } from './ruleScoring.service.js';
+import { getAIScore } from './aiScoring.service.js';
+import { enrichLead } from './enrichment.service.js';
+
+/**
+ * Score one lead against an offer, enriching it first if needed, and store the LeadScore
+ * record and the lead's most-recent-score summary
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @returns {Promise<Object>} - `status` (scored, ai_fallback or ai_failed), the final
+ *   `score` (null when ai_failed), the `previousScore` for the offer (null if there was none),
+ *   any AI `error`, and the stored `leadScore`
+ */
+export const scoreLead = async (lead, offer) => {
+  // Enrichment feeds both the rules and the prompt, so it runs first
+  await enrichLead(lead);
+
+  const existing = await LeadScore.findOne({ lead: lead._id, offer: offer._id });
+  const previousScore = existing?.score ?? null;
+
+  // Calculate rule-based score
+  const ruleScore = calculateRuleScore(lead, offer);
+
+  // Get AI score
+  const ai = await getAIScore(lead, offer);
+  const processedAt = new Date();
+
+  const common = {
+    rule_score: ruleScore.score,
+    score_reason: ruleScore.reason,
+    ai_provider: ai.provider,
+    ai_model: ai.model,
+    ai_error: ai.error || null,
+    ai_cached: Boolean(ai.cached),
+    offer_revision: offer.revision,
+    processed_at: processedAt,
+  };
+
+  if (ai.status === 'failed') {
+    // Never turn an outage into a low score, and never overwrite a real score with a failure
+    if (existing && existing.status !== 'ai_failed') {
+      return { status: 'ai_failed', score: null, previousScore, error: ai.error, leadScore: existing };
+    }
+
+    const leadScore = await LeadScore.findOneAndUpdate(
+      { lead: lead._id, offer: offer._id },
+      {
+        $set: {
+          ...common,
+          workspace: lead.workspace,
+          status: 'ai_failed',
+          score: null,
+          ai_intent: null,
+          ai_score: null,
+          ai_confidence: null,
+          ai_reasons: [],
+          stale: false,
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { status: 'ai_failed', score: null, previousScore, error: ai.error, leadScore };
+  }
+
+  // Without a valid verdict the AI half mirrors the rule score, scaled to the AI range
+  const status = ai.status === 'ok' ? 'scored' : 'ai_fallback';
+  const aiScore = ai.status === 'ok'
+    ? ai.verdict.score
+    : Math.round((ruleScore.score / ruleScore.maxScore) * AI_MAX_SCORE);
+
+  // Calculate final score (50% rule-based, 50% AI)
+  const finalScore = Math.round(ruleScore.score * 0.5 + aiScore * 0.5);
+
+  const leadScore = await LeadScore.findOneAndUpdate(
+    { lead: lead._id, offer: offer._id },
+    {
+      $set: {
+        ...common,
+        workspace: lead.workspace,
+        status,
+        score: finalScore,
+        ai_intent: ai.verdict?.intent ?? null,
+        ai_score: aiScore,
+        ai_confidence: ai.verdict?.confidence ?? null,
+        ai_reasons: ai.verdict?.reasons ?? [],
+        stale: false,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  // Mark as processed and keep the latest score on the lead
+  await Lead.updateOne(
+    { _id: lead._id },
+    {
+      $set: {
+        is_processed: true,
+        score: finalScore,
+        score_reason: ruleScore.reason,
+        processed_at: processedAt,
+        offer: offer._id,
+      },
+    }
+  );
+
+  return { status, score: finalScore, previousScore, error: ai.error, leadScore };
+};
+
+/**
+ * Flag scores as stale so they show up for re-scoring
+ * @param {Object} filter - LeadScore filter
+ * @param {Object} [options] - `session` to run the update in
+ * @returns {Promise<number>} - Number of scores newly flagged
+ */
+export const markScoresStale = async (filter, { session } = {}) => {
+  const { modifiedCount } = await LeadScore.updateMany(
+    { ...filter, stale: false },
+    { $set: { stale: true } },
+    { session }
+  );
+  return modifiedCount;
+};
+
+export default {
+  scoreLead,
+  markScoresStale,
+};
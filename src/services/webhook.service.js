@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import webhookConfig from '../config/webhooks.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery, { MAX_RESPONSE_BODY } from '../models/WebhookDelivery.js';
+import { assertPublicUrl, fetchPublicUrl } from '../utils/publicUrl.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sign a delivery body. Receivers recompute the HMAC over `${timestamp}.${body}` with their
+ * secret and compare it to `v1`; the timestamp lets them reject old replays of a request.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, also sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - `t=<timestamp>,v1=<hex HMAC-SHA256>`
+ */
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(webhookConfig.retryMaxMs, webhookConfig.retryBaseMs * 2 ** (attempts - 1));
+
+// Deliveries due now but waiting for a free slot
+const due = [];
+let inFlight = 0;
+
+/**
+ * Make one attempt at a delivery and record its outcome, scheduling a retry on failure
+ * @param {string} deliveryId - WebhookDelivery id
+ */
+const attemptDelivery = async (deliveryId) => {
+  // Claim the delivery so a restart or a duplicate timer cannot send it twice
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending' },
+    { $set: { status: 'delivering' } },
+    { new: true }
+  );
+
+  if (!delivery) {
+    return;
+  }
+
+  const webhook = await Webhook.findOne({ _id: delivery.webhook, workspace: delivery.workspace }).select('+secret');
+  if (!webhook?.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: 'failed' },
+        $push: { attempts: { error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' } },
+      }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let statusCode;
+  let error;
+  let responseBody = '';
+
+  try {
+    // Checked on every attempt too, and again on connect: the host may resolve elsewhere than
+    // when the webhook was saved, or than a moment ago
+    await assertPublicUrl(webhook.url);
+
+    const response = await fetchPublicUrl(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'lead-scoring-webhooks',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      // A redirect is reported as a failure rather than followed with the signed body
+      redirect: 'manual',
+      signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+    });
+
+    statusCode = response.status;
+    responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) {
+      error = `Endpoint answered ${response.status}`;
+    }
+  } catch (err) {
+    // Network failure, timeout, or a non-public address
+    error = err.cause?.code === 'ENONPUBLIC' ? err.cause.message : err.message;
+  }
+
+  const attempts = delivery.attempts.length + 1;
+  const attempt = { at: new Date(startedAt), status_code: statusCode, error, duration_ms: Date.now() - startedAt };
+
+  let status = 'succeeded';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempts >= webhookConfig.maxAttempts ? 'failed' : 'pending';
+    nextAttemptAt = status === 'pending' ? new Date(Date.now() + getRetryDelay(attempts)) : null;
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        response_body: responseBody,
+        ...(nextAttemptAt && { next_attempt_at: nextAttemptAt }),
+        ...(status === 'succeeded' && { delivered_at: new Date() }),
+      },
+      $push: { attempts: attempt },
+    }
+  );
+
+  // Outcome of the latest attempt, whether or not it will be retried
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { $set: { last_delivery_at: new Date(), last_delivery_status: error ? 'failed' : 'succeeded' } }
+  );
+
+  if (nextAttemptAt) {
+    logger.warn(`Webhook delivery ${delivery._id} failed (${error}); retry ${attempts + 1} at ${nextAttemptAt.toISOString()}`);
+    scheduleDelivery(delivery._id, nextAttemptAt);
+  } else if (status === 'failed') {
+    logger.error(`Webhook delivery ${delivery._id} to ${webhook.url} failed after ${attempts} attempts: ${error}`);
+  }
+};
+
+const drain = () => {
+  while (inFlight < webhookConfig.concurrency && due.length > 0) {
+    const deliveryId = due.shift();
+    inFlight++;
+    attemptDelivery(deliveryId)
+      .catch((error) => logger.error(`Webhook delivery ${deliveryId} crashed: ${error.message}`))
+      .finally(() => {
+        inFlight--;
+        drain();
+      });
+  }
+};
+
+/**
+ * Send a delivery at a given time. Deliveries run apart from the job queue, so events
+ * raised during a long scoring job go out while it is still running.
+ * @param {string|Object} deliveryId - WebhookDelivery id
+ * @param {Date} [at] - When to attempt it; now by default
+ */
+export const scheduleDelivery = (deliveryId, at = new Date()) => {
+  const timer = setTimeout(() => {
+    due.push(String(deliveryId));
+    drain();
+  }, Math.max(0, new Date(at).getTime() - Date.now()));
+
+  // Pending retries must not keep the process alive; they are resumed from MongoDB
+  timer.unref();
+};
+
+/**
+ * Send an event to every active webhook of the workspace subscribed to it. Never throws,
+ * so a webhook problem cannot fail the scoring or import that raised the event.
+ * @param {Object} workspace - Workspace id
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+export const emitEvent = async (workspace, event, data) => {
+  try {
+    const webhooks = await Webhook.find({ workspace, events: event, active: true }).select('_id').lean();
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    // One event id for every subscriber, so receivers can drop a replayed event they already handled
+    const payload = {
+      id: new mongoose.Types.ObjectId().toString(),
+      event,
+      created_at: new Date().toISOString(),
+      workspace: String(workspace),
+      data,
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({ workspace, webhook: webhook._id, event, payload }))
+    );
+    deliveries.forEach((delivery) => scheduleDelivery(delivery._id));
+
+    return deliveries.length;
+  } catch (error) {
+    logger.error(`Error queueing ${event} webhooks: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Send a delivery's payload again as a new delivery
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - The new delivery
+ */
+export const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    workspace: delivery.workspace,
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    replay_of: delivery._id,
+  });
+
+  scheduleDelivery(replay._id);
+
+  return replay;
+};
+
+export default {
+  signPayload,
+  getRetryDelay,
+  scheduleDelivery,
+  emitEvent,
+  replayDelivery,
+};
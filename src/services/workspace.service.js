@@ -0,0 +1,75 @@
+import AICacheEntry from '../models/AICacheEntry.js';
+import BulkOperation from '../models/BulkOperation.js';
+import ImportBatch from '../models/ImportBatch.js';
+import ImportTemplate from '../models/ImportTemplate.js';
+import Lead from '../models/Lead.js';
+import LeadHistory from '../models/LeadHistory.js';
+import LeadScore from '../models/LeadScore.js';
+import Offer from '../models/Offer.js';
+import ScoringJob from '../models/ScoringJob.js';
+import Workspace from '../models/Workspace.js';
+import logger from '../utils/logger.js';
+
+// Data written before workspaces existed is moved into this workspace
+export const LEGACY_WORKSPACE_SLUG = process.env.LEGACY_WORKSPACE_SLUG || 'default';
+
+// Collections whose documents belong to a workspace
+const SCOPED_MODELS = [Lead, Offer, LeadScore, ImportBatch, ImportTemplate, ScoringJob, BulkOperation, LeadHistory];
+
+// Global unique indexes replaced by per-workspace ones
+const LEGACY_INDEXES = [
+  [Lead, 'email_1'],
+  [ImportTemplate, 'name_1'],
+];
+
+const INDEX_NOT_FOUND = 27;
+const NAMESPACE_NOT_FOUND = 26;
+
+/**
+ * Move data created before workspaces into the legacy workspace and drop the old global
+ * unique indexes; call once MongoDB is connected. Safe to run on every start.
+ */
+export const migrateLegacyData = async () => {
+  try {
+    for (const [Model, index] of LEGACY_INDEXES) {
+      await Model.collection.dropIndex(index).then(
+        () => logger.info(`Dropped legacy index ${Model.collection.name}.${index}`),
+        (error) => {
+          if (![INDEX_NOT_FOUND, NAMESPACE_NOT_FOUND].includes(error.code)) {
+            throw error;
+          }
+        }
+      );
+    }
+
+    const unscoped = { workspace: { $exists: false } };
+    const pending = await Promise.all(SCOPED_MODELS.map((Model) => Model.exists(unscoped)));
+    if (!pending.some(Boolean)) {
+      return;
+    }
+
+    const workspace = await Workspace.findOneAndUpdate(
+      { slug: LEGACY_WORKSPACE_SLUG },
+      { $setOnInsert: { name: 'Default', slug: LEGACY_WORKSPACE_SLUG } },
+      { upsert: true, new: true }
+    );
+
+    // Through the driver, so documents are moved as they are without schema validation
+    for (const Model of SCOPED_MODELS) {
+      const { modifiedCount } = await Model.collection.updateMany(unscoped, { $set: { workspace: workspace._id } });
+      if (modifiedCount > 0) {
+        logger.info(`Moved ${modifiedCount} ${Model.collection.name} into workspace ${workspace.slug}`);
+      }
+    }
+
+    // Cached verdicts keyed without a workspace can never match again
+    await AICacheEntry.deleteMany(unscoped);
+  } catch (error) {
+    logger.error(`Error moving data into workspaces: ${error.message}`);
+  }
+};
+
+export default {
+  LEGACY_WORKSPACE_SLUG,
+  migrateLegacyData,
+};
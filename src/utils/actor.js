@@ -0,0 +1,10 @@
+/**
+ * Identify who made a request, for audit fields such as an import's uploader
+ * @param {Object} req - Express request
+ * @returns {string} - The authenticated API key or token subject, else the client IP
+ */
+export const getActor = (req) => req.auth?.name || req.ip || 'anonymous';
+
+export default {
+  getActor,
+};
@@ -0,0 +1,35 @@
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - Async function receiving (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+export const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+};
+
+export default {
+  sleep,
+  mapWithConcurrency,
+};
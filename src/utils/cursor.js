@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import { BadRequestError } from '../middleware/errorHandler.js';
+
+/**
+ * Whether a request asked for cursor pagination rather than page numbers
+ * @param {Object} query - Request query
+ * @returns {boolean}
+ */
+export const wantsCursor = ({ after, paginate }) => Boolean(after) || paginate === 'cursor';
+
+/**
+ * Split a sort built by buildLeadSort into its field and direction
+ * @param {Object} sort - `{ field: 1|-1, _id: 1|-1 }`
+ * @returns {{ field: string, direction: number }}
+ */
+const getSortKey = (sort) => {
+  const [field] = Object.keys(sort);
+  if (sort[field]?.$meta) {
+    throw new BadRequestError('Cursor pagination cannot sort by relevance; use page instead');
+  }
+  return { field, direction: sort[field] };
+};
+
+/**
+ * Encode a sort value so it survives JSON
+ * @param {*} value - Field value
+ * @returns {Array} - `[type, value]`
+ */
+const packValue = (value) => {
+  if (value === undefined || value === null) {
+    return ['null', null];
+  }
+  if (value instanceof Date) {
+    return ['date', value.toISOString()];
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return ['id', value.toString()];
+  }
+  return [typeof value, value];
+};
+
+const unpackValue = ([type, value]) => {
+  switch (type) {
+    case 'null':
+      return null;
+    case 'date':
+      return new Date(value);
+    case 'id':
+      return new mongoose.Types.ObjectId(value);
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return value;
+    default:
+      throw new Error(`Unknown cursor value type: ${type}`);
+  }
+};
+
+/**
+ * Build an opaque cursor pointing just after a document
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - Sort used for the page
+ * @returns {string} - base64url cursor
+ */
+export const encodeCursor = (doc, sort) => {
+  const { field, direction } = getSortKey(sort);
+  const payload = { f: field, d: direction, v: packValue(doc[field]), id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check it was issued for the same sort
+ * @param {string} cursor - Cursor from `nextCursor`
+ * @param {Object} sort - Sort of the current request
+ * @returns {{ value: *, id: ObjectId }} - Position of the last document already returned
+ * @throws {BadRequestError} - If the cursor is malformed or belongs to another sort
+ */
+export const decodeCursor = (cursor, sort) => {
+  const { field, direction } = getSortKey(sort);
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    payload.value = unpackValue(payload.v);
+    payload.id = new mongoose.Types.ObjectId(payload.id);
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (payload.f !== field || payload.d !== direction) {
+    throw new BadRequestError('Cursor was issued for a different sort; start again without `after`');
+  }
+
+  return { value: payload.value, id: payload.id };
+};
+
+/**
+ * Build the filter selecting documents after a cursor position for a sort on `field` then `_id`.
+ * MongoDB sorts null and missing values first, which the null branches account for.
+ * @param {Object} sort - `{ field: 1|-1, _id: 1|-1 }`
+ * @param {{ value: *, id: ObjectId }} position - Decoded cursor
+ * @returns {Object} - MongoDB filter
+ */
+export const buildCursorFilter = (sort, { value, id }) => {
+  const { field, direction } = getSortKey(sort);
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  const sameValueAfter = { [field]: value, _id: { [beyond]: id } };
+
+  if (value === null) {
+    // Ascending: every non-null value is still to come; descending: only other nulls are
+    return direction === 1
+      ? { $or: [sameValueAfter, { [field]: { $ne: null } }] }
+      : sameValueAfter;
+  }
+
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      sameValueAfter,
+      // Descending: nulls come after every value
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+/**
+ * Add a cursor condition to a filter without disturbing a top-level `$text`
+ * @param {Object} filter - Base filter
+ * @param {string} [after] - Cursor from the previous page
+ * @param {Object} sort - Sort of the request
+ * @returns {Object} - Filter for the requested page
+ */
+export const applyCursor = (filter, after, sort) => {
+  if (!after) {
+    return filter;
+  }
+  const cursorFilter = buildCursorFilter(sort, decodeCursor(after, sort));
+  return { ...filter, $and: [...(filter.$and || []), cursorFilter] };
+};
+
+/**
+ * Trim the extra document fetched to detect a next page and build its cursor
+ * @param {Object[]} docs - Up to `limit + 1` documents
+ * @param {number} limit - Page size
+ * @param {Object} sort - Sort used for the page
+ * @returns {{ items: Object[], nextCursor: string|null, hasMore: boolean }}
+ */
+export const getCursorPage = (docs, limit, sort) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+export default {
+  wantsCursor,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  applyCursor,
+  getCursorPage,
+};
@@ -0,0 +1,111 @@
+import { exactMatchRegExp } from './regex.js';
+
+// Fields leads can be sorted by; `relevance` needs a search
+export const LEAD_SORT_FIELDS = ['name', 'email', 'company', 'industry', 'score', 'createdAt', 'processed_at', 'relevance'];
+
+// Fields scored results can be sorted by
+export const RESULT_SORT_FIELDS = ['score', 'processed_at', 'createdAt'];
+
+/**
+ * Build a score range condition
+ * @param {number} [minScore] - Inclusive lower bound
+ * @param {number} [maxScore] - Inclusive upper bound
+ * @returns {Object|undefined} - `{ $gte, $lte }`, or undefined when neither bound is set
+ */
+export const scoreRange = (minScore, maxScore) => {
+  if (minScore === undefined && maxScore === undefined) {
+    return undefined;
+  }
+  return {
+    ...(minScore !== undefined && { $gte: minScore }),
+    ...(maxScore !== undefined && { $lte: maxScore }),
+  };
+};
+
+/**
+ * Build the Lead filter for the lead search query parameters
+ * @param {Object} query - Request query, already validated and converted
+ * @param {string} [query.search] - Full-text search over name, company, role and email
+ * @param {string} [query.industry] - Case-insensitive exact industry
+ * @param {number} [query.minScore] - Lowest latest score
+ * @param {number} [query.maxScore] - Highest latest score
+ * @param {boolean} [query.processed] - Scored (true) or never scored (false)
+ * @param {Date} [query.createdFrom] - Created on or after
+ * @param {Date} [query.createdTo] - Created on or before
+ * @param {string} [query.tag] - Has this tag
+ * @param {string} [query.assignedTo] - Assigned to this rep
+ * @returns {Object} - MongoDB filter; `$text` must stay in the first stage of a query or pipeline
+ */
+export const buildLeadFilter = ({
+  search,
+  industry,
+  minScore,
+  maxScore,
+  processed,
+  createdFrom,
+  createdTo,
+  tag,
+  assignedTo,
+} = {}) => {
+  const filter = {};
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+  if (industry) {
+    filter.industry = exactMatchRegExp(industry);
+  }
+
+  const score = scoreRange(minScore, maxScore);
+  if (score) {
+    filter.score = score;
+  }
+
+  if (processed !== undefined) {
+    filter.is_processed = processed;
+  }
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {
+      ...(createdFrom && { $gte: createdFrom }),
+      ...(createdTo && { $lte: createdTo }),
+    };
+  }
+
+  if (tag) {
+    filter.tags = tag.toLowerCase();
+  }
+  if (assignedTo) {
+    filter.assigned_to = assignedTo;
+  }
+
+  return filter;
+};
+
+/**
+ * Build a stable sort from whitelisted `sortBy`/`orderBy` parameters
+ * @param {Object} query - Request query
+ * @param {string} [query.sortBy] - One of LEAD_SORT_FIELDS or RESULT_SORT_FIELDS
+ * @param {string} [query.orderBy] - asc or desc
+ * @param {string} [query.search] - Search text; makes `relevance` the default sort
+ * @param {string} [defaultField=createdAt] - Field used when `sortBy` is not given
+ * @returns {Object} - MongoDB sort with `_id` as the tie-breaker
+ */
+export const buildLeadSort = ({ sortBy, orderBy, search } = {}, defaultField = 'createdAt') => {
+  const field = sortBy || (search ? 'relevance' : defaultField);
+
+  if (field === 'relevance') {
+    return { relevance: { $meta: 'textScore' }, _id: 1 };
+  }
+
+  const direction = orderBy === 'asc' ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+export default {
+  LEAD_SORT_FIELDS,
+  RESULT_SORT_FIELDS,
+  scoreRange,
+  buildLeadFilter,
+  buildLeadSort,
+};
@@ -0,0 +1,127 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+const NON_PUBLIC_MESSAGE = 'URL must point to a public host, not a private, loopback or link-local address';
+
+// Addresses outbound requests to user-supplied URLs may not reach: this host, private networks,
+// link-local (including cloud metadata at 169.254.169.254), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet; IPv4-mapped IPv6 addresses are checked as IPv4
+ * @param {string} address - IP address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+  return !BLOCKED_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check that a URL is http(s) and that every address its host resolves to is public, so a
+ * user-supplied endpoint cannot be pointed at internal services
+ * @param {string} value - URL
+ * @returns {Promise<URL>} - The parsed URL
+ * @throws {Error} - If the URL is invalid, cannot be resolved or reaches a non-public address
+ */
+export const assertPublicUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('URL is not valid');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('URL must be an http or https URL');
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true, verbatim: true })).map((entry) => entry.address);
+    } catch {
+      throw new Error(`URL host ${host} could not be resolved`);
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new Error(NON_PUBLIC_MESSAGE);
+  }
+
+  return url;
+};
+
+/**
+ * DNS lookup for outbound connections that refuses non-public addresses, so a host cannot
+ * resolve to a public address when checked and to an internal one when connected to
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - net lookup options
+ * @param {Function} callback - net lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (addresses.length === 0 || !addresses.every((entry) => isPublicAddress(entry.address))) {
+      const refused = new Error(NON_PUBLIC_MESSAGE);
+      refused.code = 'ENONPUBLIC';
+      callback(refused);
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Connections to hostnames go through publicLookup; IP literals are checked by assertPublicUrl
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Fetch a URL already checked with assertPublicUrl, refusing again any non-public address the
+ * host resolves to when the connection is made
+ * @param {string} url - URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>}
+ * @throws {TypeError} - Like fetch on a network error; a refused address has `cause.code` ENONPUBLIC
+ */
+export const fetchPublicUrl = (url, options = {}) => fetch(url, { ...options, dispatcher: publicAgent });
+
+export default {
+  isPublicAddress,
+  assertPublicUrl,
+  fetchPublicUrl,
+};
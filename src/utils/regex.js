@@ -0,0 +1,18 @@
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive exact-match RegExp for a string
+ * @param {string} value - Raw string
+ * @returns {RegExp} - Anchored RegExp
+ */
+export const exactMatchRegExp = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+export default {
+  escapeRegExp,
+  exactMatchRegExp,
+};
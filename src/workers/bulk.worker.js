@@ -0,0 +1,76 @@
+import BulkOperation from '../models/BulkOperation.js';
+import { enqueueJob, registerJobHandler } from '../services/jobQueue.js';
+import { buildBulkSelection, runBulkAction } from '../services/bulkLead.service.js';
+import logger from '../utils/logger.js';
+
+export const BULK_JOB = 'bulk-leads';
+
+/**
+ * Run a bulk lead operation, recording progress on its document
+ * @param {string} operationId - BulkOperation id
+ */
+export const runBulkOperation = async (operationId) => {
+  // Claim the operation; counts restart when a run left unfinished is resumed
+  const operation = await BulkOperation.findOneAndUpdate(
+    { _id: operationId, status: 'queued' },
+    { $set: { status: 'running', started_at: new Date(), processed: 0, affected: 0 } },
+    { new: true }
+  );
+
+  if (!operation) {
+    return;
+  }
+
+  try {
+    const { target, params = {} } = operation.toObject();
+    const { processed, affected } = await runBulkAction(
+      buildBulkSelection(target, operation.workspace),
+      operation.action,
+      params,
+      {
+        workspace: operation.workspace,
+        actor: operation.actor,
+        onProgress: (progress) => BulkOperation.updateOne({ _id: operation._id }, { $set: progress }),
+      }
+    );
+
+    await BulkOperation.updateOne(
+      { _id: operation._id },
+      { $set: { status: 'completed', processed, affected, completed_at: new Date() } }
+    );
+
+    logger.info(`Bulk ${operation.action} ${operation._id} completed: ${processed} leads, ${affected} affected`);
+  } catch (error) {
+    logger.error(`Bulk ${operation.action} ${operation._id} failed: ${error.message}`);
+    await BulkOperation.updateOne(
+      { _id: operation._id },
+      { $set: { status: 'failed', error: error.message, completed_at: new Date() } }
+    );
+  }
+};
+
+/**
+ * Re-queue bulk operations left unfinished by a previous process
+ */
+export const resumeBulkOperations = async () => {
+  await BulkOperation.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+
+  const operations = await BulkOperation.find({ status: 'queued' })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  operations.forEach((operation) => enqueueJob(BULK_JOB, operation._id));
+
+  if (operations.length > 0) {
+    logger.info(`Resumed ${operations.length} bulk operation(s)`);
+  }
+};
+
+registerJobHandler(BULK_JOB, runBulkOperation);
+
+export default {
+  BULK_JOB,
+  runBulkOperation,
+  resumeBulkOperations,
+};
@@ -0,0 +1,168 @@
+import CrmConnection from '../models/CrmConnection.js';
+import CrmSync from '../models/CrmSync.js';
+import CrmSyncJob, { MAX_CRM_SYNC_FAILURES } from '../models/CrmSyncJob.js';
+import crmConfig from '../config/crm.js';
+import { createCrmAdapter } from '../services/crm/index.js';
+import { enqueueJob, registerJobHandler } from '../services/jobQueue.js';
+import { selectScoresForSync, pushScoredLead, scheduleCrmRetry } from '../services/crmSync.service.js';
+import { mapWithConcurrency } from '../utils/async.js';
+import logger from '../utils/logger.js';
+
+export const CRM_SYNC_JOB = 'crm-sync';
+
+/**
+ * Run a CRM sync job: push the selected scored leads and store each lead's sync status
+ * @param {string} jobId - CrmSyncJob id
+ */
+export const runCrmSyncJob = async (jobId) => {
+  // Claim the job; counts restart when a run left unfinished is resumed
+  const job = await CrmSyncJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', started_at: new Date(), synced: 0, failed: 0, retrying: 0 } },
+    { new: true }
+  );
+
+  if (!job) {
+    return;
+  }
+
+  try {
+    const connection = await CrmConnection.findOne({ _id: job.connection, workspace: job.workspace })
+      .select('+access_token');
+    if (!connection) {
+      throw new Error('CRM connection not found');
+    }
+    if (!connection.active) {
+      throw new Error('CRM connection is disabled');
+    }
+
+    const adapter = createCrmAdapter(connection);
+    const items = await selectScoresForSync(job, connection);
+
+    await CrmSyncJob.updateOne({ _id: job._id }, { $set: { total: items.length } });
+
+    await mapWithConcurrency(items, crmConfig.concurrency, async (item) => {
+      const sync = await pushScoredLead(adapter, connection, item);
+
+      if (sync.status !== 'failed') {
+        await CrmSyncJob.updateOne({ _id: job._id }, { $inc: { [sync.status]: 1 } });
+        return;
+      }
+
+      await CrmSyncJob.updateOne(
+        { _id: job._id },
+        {
+          $inc: { failed: 1 },
+          $push: {
+            failures: {
+              $each: [{ lead: item.lead._id, message: sync.last_error }],
+              $slice: -MAX_CRM_SYNC_FAILURES,
+            },
+          },
+        }
+      );
+    });
+
+    const finished = await CrmSyncJob.findOneAndUpdate(
+      { _id: job._id },
+      { $set: { status: 'completed', completed_at: new Date() } },
+      { new: true }
+    );
+    await CrmConnection.updateOne({ _id: connection._id }, { $set: { last_sync_at: finished.completed_at } });
+
+    logger.info(`CRM sync ${job._id} to ${connection.adapter} completed: ${finished.synced} synced, ${finished.retrying} retrying, ${finished.failed} failed`);
+  } catch (error) {
+    logger.error(`CRM sync ${job._id} failed: ${error.message}`);
+    await CrmSyncJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: error.message, completed_at: new Date() } }
+    );
+  }
+};
+
+/**
+ * Queue a sync job on a connection
+ * @param {Object} connection - CrmConnection document
+ * @param {Object} options - `offer`, `mode`, `lead_ids`, `limit` and `actor`
+ * @returns {Promise<Object>} - The queued CrmSyncJob
+ */
+export const queueCrmSync = async (connection, options) => {
+  const job = await CrmSyncJob.create({
+    workspace: connection.workspace,
+    connection: connection._id,
+    ...options,
+  });
+
+  enqueueJob(CRM_SYNC_JOB, job._id);
+
+  return job;
+};
+
+/**
+ * Queue a pending sync of an offer's scores on every auto-sync connection of its workspace.
+ * Never throws, so a CRM problem cannot fail the scoring job that triggered it.
+ * @param {Object} workspace - Workspace id
+ * @param {Object} offer - Offer id
+ * @returns {Promise<number>} - Number of sync jobs queued
+ */
+export const queueAutoSyncs = async (workspace, offer) => {
+  try {
+    const connections = await CrmConnection.find({ workspace, auto_sync: true, active: true });
+
+    for (const connection of connections) {
+      await queueCrmSync(connection, { offer, mode: 'pending', actor: 'auto-sync' });
+    }
+
+    return connections.length;
+  } catch (error) {
+    logger.error(`Error queueing CRM auto-sync: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Re-queue CRM sync jobs left unfinished by a previous process
+ */
+export const resumeCrmSyncJobs = async () => {
+  await CrmSyncJob.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+
+  const jobs = await CrmSyncJob.find({ status: 'queued' })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  jobs.forEach((job) => enqueueJob(CRM_SYNC_JOB, job._id));
+
+  if (jobs.length > 0) {
+    logger.info(`Resumed ${jobs.length} CRM sync job(s)`);
+  }
+};
+
+/**
+ * Re-schedule background push retries left waiting or in flight by a previous process
+ */
+export const resumeCrmRetries = async () => {
+  const syncs = await CrmSync.find({ status: 'retrying' })
+    .sort({ next_attempt_at: 1 })
+    .select('_id next_attempt_at')
+    .lean();
+
+  // A retry cut off by a restart has no next attempt set; it runs again now
+  await CrmSync.updateMany({ status: 'retrying', next_attempt_at: null }, { $set: { next_attempt_at: new Date() } });
+  syncs.forEach((sync) => scheduleCrmRetry(sync._id, sync.next_attempt_at || new Date()));
+
+  if (syncs.length > 0) {
+    logger.info(`Resumed ${syncs.length} CRM push retr${syncs.length === 1 ? 'y' : 'ies'}`);
+  }
+};
+
+registerJobHandler(CRM_SYNC_JOB, runCrmSyncJob);
+
+export default {
+  CRM_SYNC_JOB,
+  runCrmSyncJob,
+  queueCrmSync,
+  queueAutoSyncs,
+  resumeCrmSyncJobs,
+  resumeCrmRetries,
+};
@@ -0,0 +1,89 @@
+import DuplicateScan from '../models/DuplicateScan.js';
+import { enqueueJob, registerJobHandler } from '../services/jobQueue.js';
+import { scanWorkspaceForDuplicates } from '../services/duplicate.service.js';
+import logger from '../utils/logger.js';
+
+export const DUPLICATE_SCAN_JOB = 'duplicate-scan';
+
+/**
+ * Run a duplicate scan, recording progress on its document
+ * @param {string} scanId - DuplicateScan id
+ */
+export const runDuplicateScan = async (scanId) => {
+  // Claim the scan; a run left unfinished starts over
+  const scan = await DuplicateScan.findOneAndUpdate(
+    { _id: scanId, status: 'queued' },
+    { $set: { status: 'running', started_at: new Date(), processed: 0, pairs_found: 0 } },
+    { new: true }
+  );
+
+  if (!scan) {
+    return;
+  }
+
+  try {
+    const { total, processed, pairsFound } = await scanWorkspaceForDuplicates(scan.workspace, {
+      scan: scan._id,
+      minConfidence: scan.min_confidence ?? undefined,
+      onProgress: (progress) => DuplicateScan.updateOne({ _id: scan._id }, { $set: progress }),
+    });
+
+    await DuplicateScan.updateOne(
+      { _id: scan._id },
+      { $set: { status: 'completed', total, processed, pairs_found: pairsFound, completed_at: new Date() } }
+    );
+
+    logger.info(`Duplicate scan ${scan._id} completed: ${total} leads, ${pairsFound} likely duplicate pairs`);
+  } catch (error) {
+    logger.error(`Duplicate scan ${scan._id} failed: ${error.message}`);
+    await DuplicateScan.updateOne(
+      { _id: scan._id },
+      { $set: { status: 'failed', error: error.message, completed_at: new Date() } }
+    );
+  }
+};
+
+/**
+ * Queue a duplicate scan of a workspace, unless one is already waiting or running
+ * @param {Object} workspace - Workspace id
+ * @param {Object} [options] - `min_confidence` and `actor`
+ * @returns {Promise<{ scan: Object, created: boolean }>} - The queued or unfinished DuplicateScan
+ */
+export const queueDuplicateScan = async (workspace, options = {}) => {
+  const unfinished = await DuplicateScan.findOne({ workspace, status: { $in: ['queued', 'running'] } });
+  if (unfinished) {
+    return { scan: unfinished, created: false };
+  }
+
+  const scan = await DuplicateScan.create({ workspace, ...options });
+  enqueueJob(DUPLICATE_SCAN_JOB, scan._id);
+
+  return { scan, created: true };
+};
+
+/**
+ * Re-queue duplicate scans left unfinished by a previous process
+ */
+export const resumeDuplicateScans = async () => {
+  await DuplicateScan.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+
+  const scans = await DuplicateScan.find({ status: 'queued' })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  scans.forEach((scan) => enqueueJob(DUPLICATE_SCAN_JOB, scan._id));
+
+  if (scans.length > 0) {
+    logger.info(`Resumed ${scans.length} duplicate scan(s)`);
+  }
+};
+
+registerJobHandler(DUPLICATE_SCAN_JOB, runDuplicateScan);
+
+export default {
+  DUPLICATE_SCAN_JOB,
+  runDuplicateScan,
+  queueDuplicateScan,
+  resumeDuplicateScans,
+};
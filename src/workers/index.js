@@ -0,0 +1,30 @@
+import { resumeScoringJobs } from './scoring.worker.js';
+import { resumeBulkOperations } from './bulk.worker.js';
+import { resumeWebhookDeliveries } from './webhook.worker.js';
+import { resumeCrmSyncJobs, resumeCrmRetries } from './crm.worker.js';
+import { resumeDuplicateScans } from './duplicate.worker.js';
+import ImportBatch from '../models/ImportBatch.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Register job handlers, resume unfinished jobs and fail interrupted imports; call once MongoDB is connected
+ */
+export const startWorkers = async () => {
+  try {
+    await resumeScoringJobs();
+    await resumeBulkOperations();
+    await resumeWebhookDeliveries();
+    await resumeCrmSyncJobs();
+    await resumeCrmRetries();
+    await resumeDuplicateScans();
+
+    const interruptedImports = await ImportBatch.failInterrupted();
+    if (interruptedImports > 0) {
+      logger.warn(`Marked ${interruptedImports} interrupted import(s) as failed`);
+    }
+  } catch (error) {
+    logger.error(`Error resuming background jobs: ${error.message}`);
+  }
+};
+
+export default startWorkers;
@@ -0,0 +1,255 @@
+import Lead from '../models/Lead.js';
+import LeadScore, { HIGH_INTENT_SCORE } from '../models/LeadScore.js';
+import Offer from '../models/Offer.js';
+import ScoringJob, { MAX_JOB_FAILURES } from '../models/ScoringJob.js';
+import aiConfig from '../config/ai.js';
+import { enqueueJob, registerJobHandler } from '../services/jobQueue.js';
+import { scoreLead } from '../services/scoring.service.js';
+import { emitEvent } from '../services/webhook.service.js';
+import { queueAutoSyncs } from './crm.worker.js';
+import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/async.js';
+import { exactMatchRegExp } from '../utils/regex.js';
+
+export const SCORING_JOB = 'scoring';
+
+/**
+ * Select the leads a rescore job recomputes, from the offer's existing scores
+ * @param {Object} job - ScoringJob document
+ * @returns {Promise<Object[]>} - Lead documents
+ */
+const getLeadsForRescore = async (job) => {
+  const filter = job.filter || {};
+  const match = { workspace: job.workspace, offer: job.offer };
+
+  if (filter.stale_only !== false) {
+    match.stale = true;
+  }
+  if (filter.lead_ids?.length) {
+    match.lead = { $in: filter.lead_ids };
+  }
+  if (filter.min_score !== undefined || filter.max_score !== undefined) {
+    match.score = {};
+    if (filter.min_score !== undefined) match.score.$gte = filter.min_score;
+    if (filter.max_score !== undefined) match.score.$lte = filter.max_score;
+  }
+
+  return LeadScore.aggregate([
+    { $match: match },
+    { $sort: { processed_at: 1 } },
+    {
+      $lookup: {
+        from: Lead.collection.name,
+        localField: 'lead',
+        foreignField: '_id',
+        as: 'lead',
+      },
+    },
+    { $unwind: '$lead' },
+    ...(filter.industry
+      ? [{ $match: { 'lead.industry': exactMatchRegExp(filter.industry) } }]
+      : []),
+    { $limit: job.limit },
+    { $replaceRoot: { newRoot: '$lead' } },
+  ]);
+};
+
+/**
+ * Count a lead as failed and keep its error on the job
+ * @param {string} jobId - ScoringJob id
+ * @param {string} leadId - Lead id
+ * @param {string} status - ai_failed, or error for an unexpected exception
+ * @param {string} message - Error message
+ */
+const recordFailure = (jobId, leadId, status, message) =>
+  ScoringJob.updateOne(
+    { _id: jobId },
+    {
+      $inc: { failed: 1 },
+      $push: {
+        failures: {
+          $each: [{ lead: leadId, status, message }],
+          $slice: -MAX_JOB_FAILURES,
+        },
+      },
+    }
+  );
+
+/**
+ * Send lead.scored for a new score, and lead.high_intent when it crosses into high intent
+ * @param {Object} job - ScoringJob document
+ * @param {Object} lead - Lead document
+ * @param {Object} offer - Offer document
+ * @param {Object} result - Result of scoreLead
+ */
+const emitScoreEvents = async (job, lead, offer, result) => {
+  const data = {
+    lead: {
+      id: String(lead._id),
+      name: lead.name,
+      email: lead.email,
+      company: lead.company,
+      role: lead.role,
+      industry: lead.industry,
+    },
+    offer: { id: String(offer._id), name: offer.name },
+    job: String(job._id),
+    score: result.score,
+    previous_score: result.previousScore,
+    rule_score: result.leadScore.rule_score,
+    ai_intent: result.leadScore.ai_intent,
+    reason: result.leadScore.score_reason,
+    status: result.status,
+  };
+
+  await emitEvent(job.workspace, 'lead.scored', data);
+
+  const wasHighIntent = result.previousScore !== null && result.previousScore >= HIGH_INTENT_SCORE;
+  if (result.score >= HIGH_INTENT_SCORE && !wasHighIntent) {
+    await emitEvent(job.workspace, 'lead.high_intent', { ...data, threshold: HIGH_INTENT_SCORE });
+  }
+};
+
+const isCancelled = async (jobId) =>
+  Boolean(await ScoringJob.exists({ _id: jobId, status: 'cancelled' }));
+
+/**
+ * Run a scoring job: score up to `limit` leads not yet scored for the job's offer,
+ * or, for a rescore job, recompute up to `limit` of the offer's existing scores
+ * @param {string} jobId - ScoringJob id
+ */
+export const runScoringJob = async (jobId) => {
+  // Claim the job; a job cancelled while queued is skipped here
+  const job = await ScoringJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', started_at: new Date() } },
+    { new: true }
+  );
+
+  if (!job) {
+    return;
+  }
+
+  try {
+    const offer = await Offer.findOne({ _id: job.offer, workspace: job.workspace });
+    if (!offer) {
+      throw new Error('Offer not found');
+    }
+
+    // New scores go to leads with no score for this offer yet
+    const leads = job.type === 'rescore'
+      ? await getLeadsForRescore(job)
+      : await Lead.getUnscoredLeads(offer, job.limit);
+
+    await ScoringJob.updateOne({ _id: job._id }, { $set: { total: leads.length } });
+
+    let cancelled = false;
+
+    // Score with bounded concurrency; the request budget and retries live in the AI layer
+    await mapWithConcurrency(leads, aiConfig.concurrency, async (lead) => {
+      if (!cancelled) {
+        cancelled = await isCancelled(job._id);
+      }
+      if (cancelled) {
+        return;
+      }
+
+      try {
+        const result = await scoreLead(lead, offer);
+
+        if (result.status === 'ai_failed') {
+          await recordFailure(job._id, lead._id, result.status, result.error);
+          return;
+        }
+
+        await ScoringJob.updateOne(
+          { _id: job._id },
+          {
+            $inc: {
+              processed: 1,
+              fallback: result.status === 'ai_fallback' ? 1 : 0,
+              total_score: result.score,
+            },
+          }
+        );
+
+        // The lead is scored and counted; an event problem must not count it again as failed
+        try {
+          await emitScoreEvents(job, lead, offer, result);
+        } catch (error) {
+          logger.error(`Error sending score events for lead ${lead._id}: ${error.message}`);
+        }
+      } catch (error) {
+        logger.error(`Error processing lead ${lead._id}:`, error);
+        // Continue with next lead even if one fails
+        await recordFailure(job._id, lead._id, 'error', error.message);
+      }
+    });
+
+    if (cancelled) {
+      logger.info(`Scoring job ${job._id} cancelled`);
+      return;
+    }
+
+    const finished = await ScoringJob.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { $set: { status: 'completed', completed_at: new Date() } },
+      { new: true }
+    );
+
+    if (finished) {
+      logger.info(`Scoring job ${job._id} completed: ${finished.processed} processed (${finished.fallback} AI fallback), ${finished.failed} failed`);
+
+      await emitEvent(job.workspace, 'scoring.completed', {
+        job: {
+          id: String(finished._id),
+          type: finished.type,
+          offer: { id: String(offer._id), name: offer.name },
+          total: finished.total,
+          processed: finished.processed,
+          fallback: finished.fallback,
+          failed: finished.failed,
+          average_score: finished.average_score,
+          started_at: finished.started_at,
+          completed_at: finished.completed_at,
+        },
+      });
+
+      if (finished.processed > 0) {
+        await queueAutoSyncs(job.workspace, offer._id);
+      }
+    }
+  } catch (error) {
+    logger.error(`Scoring job ${job._id} failed: ${error.message}`);
+    await ScoringJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: error.message, completed_at: new Date() } }
+    );
+  }
+};
+
+/**
+ * Re-queue jobs left unfinished by a previous process
+ */
+export const resumeScoringJobs = async () => {
+  await ScoringJob.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+
+  const jobs = await ScoringJob.find({ status: 'queued' })
+    .sort({ createdAt: 1 })
+    .select('_id')
+    .lean();
+
+  jobs.forEach((job) => enqueueJob(SCORING_JOB, job._id));
+
+  if (jobs.length > 0) {
+    logger.info(`Resumed ${jobs.length} scoring job(s)`);
+  }
+};
+
+registerJobHandler(SCORING_JOB, runScoringJob);
+
+export default {
+  SCORING_JOB,
+  runScoringJob,
+  resumeScoringJobs,
+};
@@ -0,0 +1,26 @@
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { scheduleDelivery } from '../services/webhook.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Re-schedule webhook deliveries left pending or in flight by a previous process
+ */
+export const resumeWebhookDeliveries = async () => {
+  // An attempt cut off by a restart may or may not have arrived; receivers dedupe on the event id
+  await WebhookDelivery.updateMany({ status: 'delivering' }, { $set: { status: 'pending' } });
+
+  const deliveries = await WebhookDelivery.find({ status: 'pending' })
+    .sort({ createdAt: 1 })
+    .select('_id next_attempt_at')
+    .lean();
+
+  deliveries.forEach((delivery) => scheduleDelivery(delivery._id, delivery.next_attempt_at || new Date()));
+
+  if (deliveries.length > 0) {
+    logger.info(`Resumed ${deliveries.length} webhook deliver${deliveries.length === 1 ? 'y' : 'ies'}`);
+  }
+};
+
+export default {
+  resumeWebhookDeliveries,
+};